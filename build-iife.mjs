@@ -0,0 +1,85 @@
+// Generates the IIFE builds from the ESM sources: node build-iife.mjs
+// Each bundle concatenates its modules in dependency order, drops the
+// import/re-export statements and `export` keywords, and assigns the public
+// API to a global. Module-level names must therefore be unique across the
+// modules of a bundle.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+// Public API of corner-smoothing-vanilla.esm.js, exposed as window.CornerSmoothing
+const VANILLA_EXPORTS = [
+  'configure',
+  'renderSquircle',
+  'squircleObserver',
+  'createSquircleManager',
+  'destroySquircle',
+  'animateSquircle',
+  'registerSquirclePaint',
+  'bindSquircle',
+  'isPointInSquircle',
+  'getSvgPath',
+  'getSvgDocument',
+  'getPath2D',
+  'getClipPathCss',
+  'getMaskCss',
+  'getSquircleCss'
+];
+
+const BUNDLES = [
+  {
+    output: 'corner-smoothing-vanilla.iife.js',
+    title: 'Corner Smoothing Vanilla - IIFE Build',
+    modules: ['corner-smoothing-path.esm.js', 'corner-smoothing-core.esm.js', 'corner-smoothing-vanilla.esm.js'],
+    globalName: 'CornerSmoothing',
+    value: `{ ${VANILLA_EXPORTS.join(', ')} }`
+  },
+  {
+    output: 'init.iife.js',
+    title: 'Corner Smoothing Init Helper - IIFE Build',
+    modules: ['corner-smoothing-path.esm.js', 'corner-smoothing-core.esm.js', 'init.esm.js'],
+    globalName: 'CornerSmoothingInit',
+    value: 'CornerSmoothingInit'
+  }
+];
+
+const IMPORT_RE = /^(?:import|export)\s[^;]*?\sfrom\s+['"][^'"]+['"];?\n/gm;
+const EXPORT_RE = /^export (?=(?:async )?function|const|let|class)/gm;
+
+function stripModule(source) {
+  return source
+    .replace(IMPORT_RE, '')
+    .replace(EXPORT_RE, '')
+    .trim();
+}
+
+function indent(source) {
+  return source
+    .split('\n')
+    .map((line) => (line ? `  ${line}` : line))
+    .join('\n');
+}
+
+function build({ output, title, modules, globalName, value }) {
+  const body = modules
+    .map((file) => stripModule(readFileSync(new URL(file, import.meta.url), 'utf8')))
+    .filter(Boolean)
+    .join('\n\n');
+
+  const code = `(function(global) {
+  'use strict';
+
+  // ${title}
+  // Generated by build-iife.mjs from ${modules.join(', ')} - do not edit by hand.
+
+${indent(body)}
+
+  global.${globalName} = ${value};
+
+})(typeof window !== 'undefined' ? window : this);
+`;
+
+  writeFileSync(new URL(output, import.meta.url), code);
+  console.log(`built ${output}`);
+}
+
+BUNDLES.forEach(build);
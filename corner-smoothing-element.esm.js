@@ -0,0 +1,83 @@
+// Corner Smoothing Custom Element - ESM Build
+// <smooth-corners> renders its own box as a squircle, on top of bindSquircle:
+//
+//   <smooth-corners corner-radius="24" corner-smoothing="0.6">...</smooth-corners>
+//
+// Attributes: corner-radius, corner-radius-y, corner-smoothing, corner-shape, preserve-smoothing="false",
+// offset, border-width, border-color, border-style, mode, box, fallback,
+// pointer-events="shape", capsule, shadow, outline (the last three are
+// boolean attributes)
+
+import { bindSquircle } from './corner-smoothing-vanilla.esm.js';
+
+const NUMBER_ATTRIBUTES = {
+  'corner-radius': 'cornerRadius',
+  'corner-radius-y': 'cornerRadiusY',
+  'corner-smoothing': 'cornerSmoothing',
+  offset: 'offset',
+  'border-width': 'borderWidth'
+};
+const STRING_ATTRIBUTES = {
+  'corner-shape': 'cornerShape',
+  'border-color': 'borderColor',
+  'border-style': 'borderStyle',
+  mode: 'mode',
+  box: 'box',
+  fallback: 'fallback',
+  'pointer-events': 'pointerEvents'
+};
+const BOOLEAN_ATTRIBUTES = { capsule: 'capsule', shadow: 'shadow', outline: 'outline' };
+
+// Defining the class must not fail where there is no DOM (SSR)
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+export class SmoothCornersElement extends BaseElement {
+  static get observedAttributes() {
+    return [
+      ...Object.keys(NUMBER_ATTRIBUTES),
+      ...Object.keys(STRING_ATTRIBUTES),
+      ...Object.keys(BOOLEAN_ATTRIBUTES),
+      'preserve-smoothing'
+    ];
+  }
+
+  constructor() {
+    super();
+    this.binding = null;
+    // Block box by default; children render through the slot
+    this.attachShadow({ mode: 'open' }).innerHTML = '<style>:host { display: block; }</style><slot></slot>';
+  }
+
+  // renderSquircle options from the attributes
+  get options() {
+    const options = { preserveSmoothing: this.getAttribute('preserve-smoothing') !== 'false' };
+    for (const [attribute, key] of Object.entries(NUMBER_ATTRIBUTES)) {
+      const value = parseFloat(this.getAttribute(attribute));
+      if (Number.isFinite(value)) options[key] = value;
+    }
+    for (const [attribute, key] of Object.entries(STRING_ATTRIBUTES)) {
+      if (this.hasAttribute(attribute)) options[key] = this.getAttribute(attribute);
+    }
+    for (const [attribute, key] of Object.entries(BOOLEAN_ATTRIBUTES)) {
+      if (this.hasAttribute(attribute)) options[key] = true;
+    }
+    return options;
+  }
+
+  connectedCallback() {
+    this.binding ??= bindSquircle(this, this.options);
+  }
+
+  attributeChangedCallback() {
+    this.binding?.update(this.options);
+  }
+
+  disconnectedCallback() {
+    this.binding?.destroy();
+    this.binding = null;
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('smooth-corners')) {
+  customElements.define('smooth-corners', SmoothCornersElement);
+}
@@ -0,0 +1,74 @@
+// Corner Smoothing Paint Worklet - CSS Paint API rendering
+// Registers paint(squircle), which fills the squircle of the painted box from
+// the same path generator as renderSquircle, so it can be used as a mask:
+//
+//   CSS.paintWorklet.addModule('corner-smoothing-paint.worklet.js');
+//   .card {
+//     mask-image: paint(squircle);
+//     --squircle-radius: 24px;
+//     --squircle-smoothing: 0.6;
+//   }
+//
+// Per-corner overrides: --squircle-top-left-radius, --squircle-top-left-smoothing, ...
+// --squircle-radius-y (per corner --squircle-top-left-radius-y, ...) makes corners elliptical.
+// --squircle-shape: round | scoop | bevel | notch, per corner --squircle-top-left-shape, ...
+// --squircle-preserve-smoothing: 0 turns preserveSmoothing off.
+// (Not --corner-*: those configure init.esm.js, which would read these back.)
+// The worklet repaints on resize and custom property changes without any
+// script on the main thread; see registerSquirclePaint for the fallback.
+
+import { CORNERS, getSvgPath } from './corner-smoothing-path.esm.js';
+
+// topLeft -> --squircle-top-left
+const cornerProperty = (corner) => `--squircle-${corner.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+const INPUT_PROPERTIES = [
+  '--squircle-radius',
+  '--squircle-radius-y',
+  '--squircle-smoothing',
+  '--squircle-preserve-smoothing',
+  '--squircle-shape',
+  ...CORNERS.flatMap((corner) => ['radius', 'radius-y', 'smoothing', 'shape'].map((key) => `${cornerProperty(corner)}-${key}`))
+];
+
+// Unregistered custom properties arrive as unparsed values; empty means unset
+function readNumber(properties, name) {
+  const value = parseFloat(String(properties.get(name) ?? '').trim());
+  return Number.isFinite(value) ? value : undefined;
+}
+
+function readKeyword(properties, name) {
+  return String(properties.get(name) ?? '').trim() || undefined;
+}
+
+registerPaint('squircle', class {
+  static get inputProperties() {
+    return INPUT_PROPERTIES;
+  }
+
+  paint(ctx, size, properties) {
+    const options = {
+      width: size.width,
+      height: size.height,
+      cornerRadius: readNumber(properties, '--squircle-radius') ?? 0,
+      cornerRadiusY: readNumber(properties, '--squircle-radius-y'),
+      cornerSmoothing: Math.max(0, Math.min(1, readNumber(properties, '--squircle-smoothing') ?? 1)),
+      preserveSmoothing: readNumber(properties, '--squircle-preserve-smoothing') !== 0,
+      cornerShape: readKeyword(properties, '--squircle-shape')
+    };
+    for (const corner of CORNERS) {
+      const radius = readNumber(properties, `${cornerProperty(corner)}-radius`);
+      const smoothing = readNumber(properties, `${cornerProperty(corner)}-smoothing`);
+      const radiusY = readNumber(properties, `${cornerProperty(corner)}-radius-y`);
+      if (radius !== undefined) options[`${corner}CornerRadius`] = radius;
+      if (radiusY !== undefined) options[`${corner}CornerRadiusY`] = radiusY;
+      if (smoothing !== undefined) options[`${corner}CornerSmoothing`] = Math.max(0, Math.min(1, smoothing));
+      const shape = readKeyword(properties, `${cornerProperty(corner)}-shape`);
+      if (shape !== undefined) options[`${corner}CornerShape`] = shape;
+    }
+
+    if (options.width <= 0 || options.height <= 0) return;
+    ctx.fillStyle = '#000';
+    ctx.fill(new Path2D(getSvgPath(options)));
+  }
+});
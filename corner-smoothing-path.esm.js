@@ -0,0 +1,540 @@
+// Corner Smoothing Path - the squircle path generator on its own
+// No DOM access, so it also runs in the paint worklet and on the server
+// - SVG document, Path2D and CSS declaration helpers
+// - Figma-accurate corner geometry with preserveSmoothing support
+// - Per-corner radius/smoothing with proportional clamping
+// - Elliptical corners (separate horizontal and vertical radii)
+// - Offset (inset/outset) boxes, capsules and scoop/bevel/notch corner shapes
+
+// ---- figma-squircle path generator ----
+// Port of Figma's corner construction: each corner is a circular arc section
+// flanked by two cubic bezier transitions, and smoothing spreads the corner
+// into the straight edges by up to (1 + cornerSmoothing) * cornerRadius.
+// See https://www.figma.com/blog/desperately-seeking-squircles/
+//
+// getPathParamsForCorner, the draw*Path functions, rounded and
+// distributeAndNormalize are ported from figma-squircle
+// (https://github.com/phamfoo/figma-squircle), under its MIT license:
+//
+// MIT License
+//
+// Copyright (c) 2021 Tien Pham
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Tagged template that rounds interpolated numbers to 4 decimals
+export function rounded(strings, ...values) {
+  return strings.reduce((acc, str, i) => {
+    const value = values[i];
+    if (typeof value === 'number') return acc + str + value.toFixed(4);
+    return acc + str + (value ?? '');
+  }, '');
+}
+
+/**
+ * Computes the bezier/arc distances for one corner.
+ * roundingAndSmoothingBudget is the length of edge the corner may consume.
+ * When the smoothed corner does not fit, preserveSmoothing keeps the
+ * smoothing and squeezes the transition curves instead of reducing it.
+ */
+function getPathParamsForCorner({ cornerRadius, cornerSmoothing, preserveSmoothing, roundingAndSmoothingBudget }) {
+  // Figure 12.2 in the article: p = (1 + smoothing) * q, with q = R at 90deg
+  let p = (1 + cornerSmoothing) * cornerRadius;
+
+  if (!preserveSmoothing) {
+    const maxCornerSmoothing = roundingAndSmoothingBudget / cornerRadius - 1;
+    cornerSmoothing = Math.min(cornerSmoothing, maxCornerSmoothing);
+    p = Math.min(p, roundingAndSmoothingBudget);
+  }
+
+  const arcMeasure = 90 * (1 - cornerSmoothing);
+  const arcSectionLength = Math.sin(toRadians(arcMeasure / 2)) * cornerRadius * Math.sqrt(2);
+
+  // Distance between control points P3 and P4
+  const angleAlpha = (90 - arcMeasure) / 2;
+  const p3ToP4Distance = cornerRadius * Math.tan(toRadians(angleAlpha / 2));
+
+  // a, b, c and d are from figure 11.1 in the article
+  const angleBeta = 45 * cornerSmoothing;
+  const c = p3ToP4Distance * Math.cos(toRadians(angleBeta));
+  const d = c * Math.tan(toRadians(angleBeta));
+
+  let b = (p - arcSectionLength - c - d) / 3;
+  let a = 2 * b;
+
+  // Not enough room: move P1 and P2 closer while keeping them apart a little
+  if (preserveSmoothing && p > roundingAndSmoothingBudget) {
+    const p1ToP3MaxDistance = roundingAndSmoothingBudget - d - arcSectionLength - c;
+    const minA = p1ToP3MaxDistance / 6;
+    const maxB = p1ToP3MaxDistance - minA;
+
+    b = Math.min(b, maxB);
+    a = p1ToP3MaxDistance - b;
+    p = Math.min(p, roundingAndSmoothingBudget);
+  }
+
+  return { a, b, c, d, p, arcSectionLength, cornerRadius };
+}
+
+function drawTopRightPath({ cornerRadius, a, b, c, d, p, arcSectionLength }) {
+  if (!cornerRadius) return rounded`l ${p} 0`;
+  return rounded`
+    c ${a} 0 ${a + b} 0 ${a + b + c} ${d}
+    a ${cornerRadius} ${cornerRadius} 0 0 1 ${arcSectionLength} ${arcSectionLength}
+    c ${d} ${c} ${d} ${b + c} ${d} ${a + b + c}`;
+}
+
+function drawBottomRightPath({ cornerRadius, a, b, c, d, p, arcSectionLength }) {
+  if (!cornerRadius) return rounded`l 0 ${p}`;
+  return rounded`
+    c 0 ${a} 0 ${a + b} ${-d} ${a + b + c}
+    a ${cornerRadius} ${cornerRadius} 0 0 1 -${arcSectionLength} ${arcSectionLength}
+    c ${-c} ${d} ${-(b + c)} ${d} ${-(a + b + c)} ${d}`;
+}
+
+function drawBottomLeftPath({ cornerRadius, a, b, c, d, p, arcSectionLength }) {
+  if (!cornerRadius) return rounded`l ${-p} 0`;
+  return rounded`
+    c ${-a} 0 ${-(a + b)} 0 ${-(a + b + c)} ${-d}
+    a ${cornerRadius} ${cornerRadius} 0 0 1 -${arcSectionLength} -${arcSectionLength}
+    c ${-d} ${-c} ${-d} ${-(b + c)} ${-d} ${-(a + b + c)}`;
+}
+
+function drawTopLeftPath({ cornerRadius, a, b, c, d, p, arcSectionLength }) {
+  if (!cornerRadius) return rounded`l 0 ${-p}`;
+  return rounded`
+    c 0 ${-a} 0 ${-(a + b)} ${d} ${-(a + b + c)}
+    a ${cornerRadius} ${cornerRadius} 0 0 1 ${arcSectionLength} -${arcSectionLength}
+    c ${c} ${-d} ${b + c} ${-d} ${a + b + c} ${-d}`;
+}
+
+export const CORNERS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+// Every corner is the top-right construction turned a quarter turn per step
+export const CORNER_TURNS = { topRight: 0, bottomRight: 1, bottomLeft: 2, topLeft: 3 };
+
+// Quarter turns clockwise in screen coordinates (y down)
+export function turn([x, y], turns) {
+  for (let i = 0; i < turns; i++) [x, y] = [-y, x];
+  return [x, y];
+}
+
+// ---- corner shapes ----
+// Besides the rounded corner, a corner can be cut into the box over the same
+// extent p, so it lines up with the straight edges like a rounded one:
+// - scoop: the rounded corner reflected across its chord, a concave cut-out
+//   (ticket-style cards); it keeps its smoothing
+// - bevel: a straight cut along the chord
+// - notch: a square step into the box
+// bevel and notch have no curve, so their smoothing is always 0.
+export const CORNER_SHAPES = ['round', 'scoop', 'bevel', 'notch'];
+
+const STRAIGHT_SHAPES = new Set(['bevel', 'notch']);
+
+function getCornerShape(options, corner) {
+  const shape = options[`${corner}CornerShape`] ?? options.cornerShape ?? 'round';
+  return CORNER_SHAPES.includes(shape) ? shape : 'round';
+}
+
+function getCornerSmoothing(options, corner) {
+  if (STRAIGHT_SHAPES.has(getCornerShape(options, corner))) return 0;
+  return options[`${corner}CornerSmoothing`] ?? options.cornerSmoothing ?? 1;
+}
+
+// Scales a point of the top-right frame for an elliptical corner (see
+// distributeElliptical): the frame's y axis is vertical on screen for the
+// top-right and bottom-left corners, its x axis for the other two
+export function scaleCorner([x, y], scaleY, turns) {
+  return turns % 2 ? [x * scaleY, y] : [x, y * scaleY];
+}
+
+// Relative commands of a cut or elliptical corner, drawn in the top-right
+// frame and turned into place. interpolable keeps the c/a/c structure of a
+// rounded corner (a zero-radius arc is a straight line).
+function drawTurnedCorner({ shape, cornerRadius, scaleY, a, b, c, d, p, arcSectionLength: l }, turns, interpolable) {
+  const points = (...list) => list.map((point) => {
+    const [x, y] = turn(scaleCorner(point, scaleY, turns), turns);
+    return rounded`${x} ${y}`;
+  }).join(' ');
+  const arc = (sweep) => `${rounded`a ${cornerRadius} ${cornerRadius * scaleY} 0 0`} ${sweep}`;
+
+  if (shape === 'round') {
+    return `c ${points([a, 0], [a + b, 0], [a + b + c, d])} ${arc(1)} ${points([l, l])} ` +
+      `c ${points([d, c], [d, b + c], [d, a + b + c])}`;
+  }
+  if (shape === 'scoop') {
+    // Mirroring (x, y) -> (y, x) also reverses the arc's sweep
+    return `c ${points([0, a], [0, a + b], [d, a + b + c])} ${arc(0)} ${points([l, l])} ` +
+      `c ${points([c, d], [b + c, d], [a + b + c, d])}`;
+  }
+  if (shape === 'bevel') {
+    return interpolable ? `c 0 0 0 0 0 0 a 0 0 0 0 1 ${points([p, p])} c 0 0 0 0 0 0` : `l ${points([p, p])}`;
+  }
+  // notch
+  return interpolable
+    ? `c 0 0 ${points([0, p], [0, p])} a 0 0 0 0 1 ${points([p, 0])} c 0 0 0 0 0 0`
+    : `l ${points([0, p])} l ${points([p, 0])}`;
+}
+
+// The two corners sharing a side with each corner
+const ADJACENT_CORNERS = {
+  topLeft: [{ corner: 'topRight', side: 'top' }, { corner: 'bottomLeft', side: 'left' }],
+  topRight: [{ corner: 'topLeft', side: 'top' }, { corner: 'bottomRight', side: 'right' }],
+  bottomRight: [{ corner: 'bottomLeft', side: 'bottom' }, { corner: 'topRight', side: 'right' }],
+  bottomLeft: [{ corner: 'bottomRight', side: 'bottom' }, { corner: 'topLeft', side: 'left' }]
+};
+
+/**
+ * Splits each side between its two corners so adjacent corners never overlap.
+ * Bigger corners choose first and get a share proportional to their radius;
+ * the smaller neighbour takes what is left of the side.
+ */
+function distributeAndNormalize(radii, width, height) {
+  const budgets = { topLeft: -1, topRight: -1, bottomRight: -1, bottomLeft: -1 };
+  const clamped = { ...radii };
+
+  Object.entries(radii)
+    .sort(([, radius1], [, radius2]) => radius2 - radius1)
+    .forEach(([corner, radius]) => {
+      const budget = Math.min(...ADJACENT_CORNERS[corner].map(({ corner: adjacent, side }) => {
+        const adjacentRadius = clamped[adjacent];
+        if (radius === 0 && adjacentRadius === 0) return 0;
+
+        const sideLength = side === 'top' || side === 'bottom' ? width : height;
+        if (budgets[adjacent] >= 0) return sideLength - budgets[adjacent];
+        return (radius / (radius + adjacentRadius)) * sideLength;
+      }));
+
+      budgets[corner] = budget;
+      clamped[corner] = Math.min(radius, budget);
+    });
+
+  const result = {};
+  for (const corner of CORNERS) {
+    result[corner] = { radius: clamped[corner], radiusY: clamped[corner], roundingAndSmoothingBudget: budgets[corner] };
+  }
+  return result;
+}
+
+/**
+ * Elliptical corners: each side is split between its two corners in
+ * proportion to their radii along it - horizontal radii on the top and
+ * bottom, vertical ones on the left and right. A corner is then built as a
+ * circular one of its horizontal radius, measuring the vertical side in
+ * units of radius / radiusY, and its vertical lengths are scaled back by
+ * radiusY / radius when drawn.
+ */
+function distributeElliptical(radii, radiiY, width, height) {
+  const share = (radius, adjacentRadius, sideLength) =>
+    (radius > 0 ? (radius / (radius + adjacentRadius)) * sideLength : 0);
+
+  const result = {};
+  for (const corner of CORNERS) {
+    const [horizontal, vertical] = ADJACENT_CORNERS[corner];
+    const budget = share(radii[corner], radii[horizontal.corner], width);
+    const budgetY = share(radiiY[corner], radiiY[vertical.corner], height);
+    const radius = Math.min(radii[corner], budget);
+    const radiusY = Math.min(radiiY[corner], budgetY);
+    result[corner] = radius > 0 && radiusY > 0
+      ? { radius, radiusY, roundingAndSmoothingBudget: Math.min(budget, (budgetY * radius) / radiusY) }
+      : { radius: 0, radiusY: 0, roundingAndSmoothingBudget: 0 };
+  }
+  return result;
+}
+
+// Every radius option; the *RadiusY ones are the vertical radii of elliptical
+// corners and fall back to the per-corner, then shared, vertical radius, then
+// to the corner's horizontal radius
+export const RADIUS_OPTIONS = [
+  'cornerRadius',
+  'cornerRadiusY',
+  ...CORNERS.flatMap((corner) => [`${corner}CornerRadius`, `${corner}CornerRadiusY`])
+];
+
+/**
+ * Per-corner radii clamped to the box, with each corner's share of its sides:
+ * { radius, radiusY, roundingAndSmoothingBudget } per corner, radius being
+ * the horizontal radius.
+ * capsule: every corner takes half the shorter side less what its smoothing
+ * spreads into the edges, so the ends are fully round and keep their
+ * smoothing (a plain stadium at smoothing 0) instead of squeezing it.
+ */
+export function getCornerRadii(options) {
+  const { width, height, cornerRadius = 0, cornerRadiusY, capsule = false } = options;
+  const radii = {};
+  const radiiY = {};
+  for (const corner of CORNERS) {
+    radii[corner] = capsule
+      ? Math.max(0, Math.min(width, height)) / 2 / (1 + getCornerSmoothing(options, corner))
+      : options[`${corner}CornerRadius`] ?? cornerRadius;
+    radiiY[corner] = capsule ? radii[corner] : options[`${corner}CornerRadiusY`] ?? cornerRadiusY ?? radii[corner];
+  }
+  if (CORNERS.every((corner) => radiiY[corner] === radii[corner])) return distributeAndNormalize(radii, width, height);
+  return distributeElliptical(radii, radiiY, width, height);
+}
+
+export function getCornerParams(options) {
+  const { preserveSmoothing = true } = options;
+  const distributed = getCornerRadii(options);
+
+  const params = {};
+  for (const corner of CORNERS) {
+    params[corner] = {
+      ...getPathParamsForCorner({
+        cornerRadius: distributed[corner].radius,
+        cornerSmoothing: getCornerSmoothing(options, corner),
+        preserveSmoothing,
+        roundingAndSmoothingBudget: distributed[corner].roundingAndSmoothingBudget
+      }),
+      shape: getCornerShape(options, corner),
+      scaleY: distributed[corner].radius ? distributed[corner].radiusY / distributed[corner].radius : 1
+    };
+    // p is the corner's extent along the top/bottom edge, pY along the left/right edge
+    params[corner].pY = params[corner].p * params[corner].scaleY;
+  }
+  return params;
+}
+
+/**
+ * The box grown by offset on every side (shrunk when negative), like
+ * box-shadow spread: rounded corners follow, square ones stay square.
+ * Returns getSvgPath options for the new box, which is drawn at (0, 0).
+ */
+export function getOffsetShape(options, offset) {
+  const grow = (radius) => (radius > 0 ? Math.max(0, radius + offset) : 0);
+  const shape = {
+    ...options,
+    width: Math.max(0, options.width + offset * 2),
+    height: Math.max(0, options.height + offset * 2),
+    cornerRadius: grow(options.cornerRadius ?? 0)
+  };
+  for (const key of RADIUS_OPTIONS) {
+    if (key !== 'cornerRadius' && options[key] != null) shape[key] = grow(options[key]);
+  }
+  return shape;
+}
+
+/**
+ * Where the outline is drawn: its box at (x, y), and the corner params. The
+ * options box has its top-left corner at (options.x, options.y), (0, 0) by
+ * default; options.offset moves the outline out (positive) or in (negative)
+ * from it.
+ */
+export function getOutlineBox(options) {
+  const { offset = 0, x = 0, y = 0 } = options;
+  const shape = offset ? getOffsetShape(options, offset) : options;
+  return { x: x - offset, y: y - offset, width: shape.width, height: shape.height, params: getCornerParams(shape) };
+}
+
+// A square corner drawn with the commands of a rounded one
+const FLAT_CORNER = 'c 0 0 0 0 0 0 a 0 0 0 0 1 0 0 c 0 0 0 0 0 0';
+
+/**
+ * options: { width, height, cornerRadius?, cornerRadiusY?, cornerSmoothing?, preserveSmoothing?,
+ *            topLeftCornerRadius?, topLeftCornerRadiusY?, ..., topLeftCornerSmoothing?, ...,
+ *            cornerShape?: 'round' | 'scoop' | 'bevel' | 'notch', topLeftCornerShape?, ...,
+ *            capsule?: boolean, offset?: number, x?: number, y?: number,
+ *            interpolable?: boolean, precision?: number, relative?: boolean, compact?: boolean }
+ * Per-corner values fall back to cornerRadius / cornerSmoothing / cornerShape.
+ * A *RadiusY makes the corner elliptical with that vertical radius, like
+ * `border-radius: 16px / 8px`; see RADIUS_OPTIONS for its fallbacks.
+ * offset draws the outline that many px outside the width x height box (inside
+ * when negative), still in the box's coordinates, e.g. -paddingWidth for the
+ * padding box; capsule: see getCornerRadii. x/y place the box's top-left
+ * corner (default 0, 0).
+ * interpolable draws square corners with the same commands as rounded ones, so
+ * any two paths share one command structure and CSS can transition between them.
+ * preserveSmoothing defaults to true, unlike figma-squircle (false). Given
+ * the same preserveSmoothing and no precision/relative/compact, the output
+ * matches figma-squircle exactly; with any of those the path goes through
+ * serializePath.
+ */
+export function getSvgPath(options) {
+  const { interpolable = false, precision, relative, compact } = options;
+  const { x, y, width, height, params } = getOutlineBox(options);
+  const draw = (drawCorner, corner) => {
+    const cornerParams = params[corner];
+    if (!cornerParams.cornerRadius) return interpolable ? FLAT_CORNER : drawCorner(cornerParams);
+    if (cornerParams.shape !== 'round' || cornerParams.scaleY !== 1) {
+      return drawTurnedCorner(cornerParams, CORNER_TURNS[corner], interpolable);
+    }
+    return drawCorner(cornerParams);
+  };
+
+  const path = `
+    M ${x + width - params.topRight.p} ${y}
+    ${draw(drawTopRightPath, 'topRight')}
+    L ${x + width} ${y + height - params.bottomRight.pY}
+    ${draw(drawBottomRightPath, 'bottomRight')}
+    L ${x + params.bottomLeft.p} ${y + height}
+    ${draw(drawBottomLeftPath, 'bottomLeft')}
+    L ${x} ${y + params.topLeft.pY}
+    ${draw(drawTopLeftPath, 'topLeft')}
+    Z
+  `.replace(/\s+/g, ' ').trim();
+  if (precision == null && relative == null && compact == null) return path;
+  return serializePath(path, { precision, relative, compact });
+}
+
+// ---- path serialisation ----
+
+// Parameters per path command
+const COMMAND_PARAMS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+// Indices of the x/y coordinates among each command's parameters; the other
+// parameters (arc radii, rotation, flags) are not positions
+const COMMAND_POINTS = { m: [0], l: [0], c: [0, 2, 4], s: [0, 2], q: [0, 2], t: [0], a: [5] };
+
+/**
+ * Re-serialises an SVG path.
+ * precision: decimals kept (default 4); relative: write every command relative
+ * (otherwise each keeps its case); compact: drop all optional whitespace and
+ * leading zeros.
+ * Relative values are taken between rounded absolute positions, so rounding
+ * errors don't add up along the path.
+ */
+export function serializePath(path, { precision = 4, relative = false, compact = false } = {}) {
+  const tokens = path.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const round = (value) => +value.toFixed(precision) || 0;
+  const format = (value) => {
+    const text = `${round(value)}`;
+    return compact ? text.replace(/^(-?)0\./, '$1.') : text;
+  };
+
+  let exact = [0, 0];     // current point, unrounded
+  let written = [0, 0];   // current point as written out (rounded)
+  let start = [0, 0];
+  let writtenStart = [0, 0];
+  const parts = [];
+
+  for (let i = 0; i < tokens.length;) {
+    let command = tokens[i++];
+    let type = command.toLowerCase();
+    const isRelative = command === type;
+    const count = COMMAND_PARAMS[type];
+    if (count === undefined) throw new Error(`Unsupported path command: ${command}`);
+
+    // Commands repeat implicitly while parameters follow (after M they are L)
+    do {
+      const outputType = relative || isRelative ? type : command;
+      const values = tokens.slice(i, i + count).map(Number);
+      i += count;
+      const next = [...exact];
+      const out = [];
+
+      if (type === 'z') {
+        exact = [...start];
+        written = [...writtenStart];
+      } else if (type === 'h' || type === 'v') {
+        const axis = type === 'h' ? 0 : 1;
+        next[axis] = isRelative ? exact[axis] + values[0] : values[0];
+        const target = round(next[axis]);
+        out.push(outputType === type ? target - written[axis] : target);
+        exact = next;
+        written[axis] = target;
+      } else {
+        const points = COMMAND_POINTS[type];
+        let end = written;
+        values.forEach((value, index) => {
+          if (!points.some((point) => index === point || index === point + 1)) {
+            out.push(value);
+            return;
+          }
+          const axis = points.includes(index) ? 0 : 1;
+          const absolute = isRelative ? exact[axis] + value : value;
+          const target = round(absolute);
+          out.push(outputType === type ? target - written[axis] : target);
+          if (index >= count - 2) {
+            next[axis] = absolute;
+            end = axis === 0 ? [target, end[1]] : [end[0], target];
+          }
+        });
+        exact = next;
+        written = end;
+        if (type === 'm') {
+          start = [...exact];
+          writtenStart = [...written];
+        }
+      }
+
+      parts.push({ command: outputType, values: out.map(format) });
+      if (type === 'm') {
+        type = 'l';
+        command = isRelative ? 'l' : 'L';
+      }
+    } while (count > 0 && i < tokens.length && !/[a-z]/i.test(tokens[i]));
+  }
+
+  if (!compact) {
+    return parts.map(({ command, values }) => [command, ...values].join(' ')).join(' ');
+  }
+  return parts.map(({ command, values }) => command + values.reduce((text, value, index) => (
+    index === 0 || value.startsWith('-') || (value.startsWith('.') && /\.\d*$/.test(text)) ? text + value : `${text} ${value}`
+  ), '')).join('');
+}
+
+// ---- standalone shapes ----
+// Squircles outside of element clipping: SVG documents (icons, OG images),
+// canvas paths and CSS declarations. options are getSvgPath options.
+
+export const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export function toSvgDataUri(content, width, height, viewBox = `0 0 ${width} ${height}`) {
+  const svg = `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="${viewBox}">${content}</svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Standalone SVG document of the squircle
+ * options: getSvgPath options plus fill?: string (default '#000')
+ */
+export function getSvgDocument(options) {
+  const { width, height, fill = '#000' } = options;
+  return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<path d="${getSvgPath(options)}" fill="${fill}"/></svg>`;
+}
+
+/**
+ * Path2D of the squircle, for ctx.fill / ctx.clip on a canvas
+ */
+export function getPath2D(options) {
+  if (typeof Path2D === 'undefined') throw new Error('Path2D is not available in this environment');
+  return new Path2D(getSvgPath(options));
+}
+
+/**
+ * clip-path declaration for an element of options.width x options.height
+ */
+export function getClipPathCss(options) {
+  return `clip-path: path("${getSvgPath({ interpolable: true, ...options })}");`;
+}
+
+/**
+ * mask declarations (with the -webkit- prefix) for an element of options.width x options.height
+ */
+export function getMaskCss(options) {
+  const { width, height } = options;
+  const image = toSvgDataUri(`<path d="${getSvgPath(options)}"/>`, width, height);
+  const mask = `url("${image}") 0 0 / 100% 100% no-repeat`;
+  return `-webkit-mask: ${mask}; mask: ${mask};`;
+}
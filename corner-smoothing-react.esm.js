@@ -0,0 +1,76 @@
+// Corner Smoothing React - ESM Build
+// useSquircle hook and <Squircle> component on top of bindSquircle; options
+// are compared shallowly, so re-renders with equal options don't repaint
+
+import { createElement, forwardRef, useCallback, useEffect, useRef } from 'react';
+import { bindSquircle } from './corner-smoothing-vanilla.esm.js';
+
+const OPTION_KEYS = new Set([
+  'cornerRadius',
+  'cornerRadiusY',
+  'cornerSmoothing',
+  'cornerShape',
+  'preserveSmoothing',
+  'capsule',
+  'offset',
+  'borderWidth',
+  'borderColor',
+  'borderStyle',
+  'fallback',
+  'mode',
+  'box',
+  'pointerEvents',
+  'shadow',
+  'outline'
+]);
+
+// cornerRadius, topLeftCornerSmoothing, topLeftCornerShape, borderTopWidth, ... (renderSquircle options)
+function isOptionKey(key) {
+  return OPTION_KEYS.has(key) ||
+    /^(topLeft|topRight|bottomRight|bottomLeft)Corner(Radius|RadiusY|Smoothing|Shape)$/.test(key) ||
+    /^border(Top|Right|Bottom|Left)(Width|Color|Style)$/.test(key);
+}
+
+/**
+ * Returns a ref callback that renders a squircle on the element it is attached
+ * to, follows option changes and cleans up on unmount.
+ * options: same as renderSquircle
+ */
+export function useSquircle(options) {
+  const bindingRef = useRef(null);
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  const ref = useCallback((element) => {
+    bindingRef.current?.destroy();
+    bindingRef.current = element ? bindSquircle(element, optionsRef.current) : null;
+  }, []);
+
+  useEffect(() => {
+    bindingRef.current?.update(options);
+  });
+
+  return ref;
+}
+
+/**
+ * <Squircle as="div" cornerRadius={24} cornerSmoothing={0.6} className="card">...</Squircle>
+ * renderSquircle options are taken from the props, everything else is passed to the element.
+ */
+export const Squircle = forwardRef(function Squircle({ as = 'div', children, ...props }, forwardedRef) {
+  const options = {};
+  const elementProps = {};
+  for (const [key, value] of Object.entries(props)) {
+    if (isOptionKey(key)) options[key] = value;
+    else elementProps[key] = value;
+  }
+
+  const squircleRef = useSquircle(options);
+  const ref = useCallback((element) => {
+    squircleRef(element);
+    if (typeof forwardedRef === 'function') forwardedRef(element);
+    else if (forwardedRef) forwardedRef.current = element;
+  }, [squircleRef, forwardedRef]);
+
+  return createElement(as, { ...elementProps, ref }, children);
+});
@@ -0,0 +1,21 @@
+// Corner Smoothing Svelte - ESM Build
+// Svelte action on top of bindSquircle:
+//
+//   <div use:squircle={{ cornerRadius: 24, cornerSmoothing: 0.6 }}></div>
+
+import { bindSquircle } from './corner-smoothing-vanilla.esm.js';
+
+/**
+ * Action; the parameter holds the renderSquircle options
+ */
+export function squircle(node, options) {
+  const binding = bindSquircle(node, options);
+  return {
+    update(next) {
+      binding.update(next);
+    },
+    destroy() {
+      binding.destroy();
+    }
+  };
+}
@@ -1,153 +1,2187 @@
 (function(global) {
   'use strict';
-  
+
   // Corner Smoothing Vanilla - IIFE Build
-  // Bundled with figma-squircle for browser use
-
-  // Figma-squircle implementation
-  function getSvgPath({ width, height, cornerRadius, cornerSmoothing, preserveSmoothing = true }) {
-    const r = Math.min(cornerRadius, width / 2, height / 2);
-    const smoothing = cornerSmoothing;
-    
-    // Calculate control points for smooth curves
-    const cp = r * (1 - smoothing * 0.552284749831);
-    const cpSmooth = r * smoothing * 0.552284749831;
-    
-    // Generate SVG path with smooth corners
-    return `M ${r},0 
-            L ${width - r},0 
-            C ${width - cp},0 ${width},${cp} ${width},${r}
-            L ${width},${height - r} 
-            C ${width},${height - cp} ${width - cp},${height} ${width - r},${height}
-            L ${r},${height} 
-            C ${cp},${height} 0,${height - cp} 0,${height - r}
-            L 0,${r} 
-            C 0,${cp} ${cp},0 ${r},0 Z`;
-  }
-
-  // Global counter for unique class names
-  let squircleCounter = 0;
-
-  /**
-   * Renders a squircle shape on an element using clip-path or border mode
+  // Generated by build-iife.mjs from corner-smoothing-path.esm.js, corner-smoothing-core.esm.js, corner-smoothing-vanilla.esm.js - do not edit by hand.
+
+  // Corner Smoothing Path - the squircle path generator on its own
+  // No DOM access, so it also runs in the paint worklet and on the server
+  // - SVG document, Path2D and CSS declaration helpers
+  // - Figma-accurate corner geometry with preserveSmoothing support
+  // - Per-corner radius/smoothing with proportional clamping
+  // - Elliptical corners (separate horizontal and vertical radii)
+  // - Offset (inset/outset) boxes, capsules and scoop/bevel/notch corner shapes
+
+  // ---- figma-squircle path generator ----
+  // Port of Figma's corner construction: each corner is a circular arc section
+  // flanked by two cubic bezier transitions, and smoothing spreads the corner
+  // into the straight edges by up to (1 + cornerSmoothing) * cornerRadius.
+  // See https://www.figma.com/blog/desperately-seeking-squircles/
+  //
+  // getPathParamsForCorner, the draw*Path functions, rounded and
+  // distributeAndNormalize are ported from figma-squircle
+  // (https://github.com/phamfoo/figma-squircle), under its MIT license:
+  //
+  // MIT License
+  //
+  // Copyright (c) 2021 Tien Pham
+  //
+  // Permission is hereby granted, free of charge, to any person obtaining a copy
+  // of this software and associated documentation files (the "Software"), to deal
+  // in the Software without restriction, including without limitation the rights
+  // to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+  // copies of the Software, and to permit persons to whom the Software is
+  // furnished to do so, subject to the following conditions:
+  //
+  // The above copyright notice and this permission notice shall be included in all
+  // copies or substantial portions of the Software.
+  //
+  // THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+  // IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+  // FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+  // AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+  // LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+  // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+  // SOFTWARE.
+
+  function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+  }
+
+  // Tagged template that rounds interpolated numbers to 4 decimals
+  function rounded(strings, ...values) {
+    return strings.reduce((acc, str, i) => {
+      const value = values[i];
+      if (typeof value === 'number') return acc + str + value.toFixed(4);
+      return acc + str + (value ?? '');
+    }, '');
+  }
+
+  /**
+   * Computes the bezier/arc distances for one corner.
+   * roundingAndSmoothingBudget is the length of edge the corner may consume.
+   * When the smoothed corner does not fit, preserveSmoothing keeps the
+   * smoothing and squeezes the transition curves instead of reducing it.
    */
-  function renderSquircle(element, options) {
-    const {
-      cornerRadius,
-      cornerSmoothing,
-      preserveSmoothing = true,
-      borderWidth
-    } = options;
-
-    // Check if clip-path is supported
-    if (!CSS.supports('clip-path', 'path("")')) {
-      console.warn('clip-path with path() not supported, falling back to border-radius');
-      return;
+  function getPathParamsForCorner({ cornerRadius, cornerSmoothing, preserveSmoothing, roundingAndSmoothingBudget }) {
+    // Figure 12.2 in the article: p = (1 + smoothing) * q, with q = R at 90deg
+    let p = (1 + cornerSmoothing) * cornerRadius;
+
+    if (!preserveSmoothing) {
+      const maxCornerSmoothing = roundingAndSmoothingBudget / cornerRadius - 1;
+      cornerSmoothing = Math.min(cornerSmoothing, maxCornerSmoothing);
+      p = Math.min(p, roundingAndSmoothingBudget);
     }
 
-    const rect = element.getBoundingClientRect();
-    const width = rect.width;
-    const height = rect.height;
+    const arcMeasure = 90 * (1 - cornerSmoothing);
+    const arcSectionLength = Math.sin(toRadians(arcMeasure / 2)) * cornerRadius * Math.sqrt(2);
 
-    if (width <= 0 || height <= 0) {
-      return;
+    // Distance between control points P3 and P4
+    const angleAlpha = (90 - arcMeasure) / 2;
+    const p3ToP4Distance = cornerRadius * Math.tan(toRadians(angleAlpha / 2));
+
+    // a, b, c and d are from figure 11.1 in the article
+    const angleBeta = 45 * cornerSmoothing;
+    const c = p3ToP4Distance * Math.cos(toRadians(angleBeta));
+    const d = c * Math.tan(toRadians(angleBeta));
+
+    let b = (p - arcSectionLength - c - d) / 3;
+    let a = 2 * b;
+
+    // Not enough room: move P1 and P2 closer while keeping them apart a little
+    if (preserveSmoothing && p > roundingAndSmoothingBudget) {
+      const p1ToP3MaxDistance = roundingAndSmoothingBudget - d - arcSectionLength - c;
+      const minA = p1ToP3MaxDistance / 6;
+      const maxB = p1ToP3MaxDistance - minA;
+
+      b = Math.min(b, maxB);
+      a = p1ToP3MaxDistance - b;
+      p = Math.min(p, roundingAndSmoothingBudget);
     }
 
-    // Generate SVG path for the squircle
-    const svgPath = getSvgPath({
-      width,
-      height,
-      cornerRadius,
-      cornerSmoothing,
-      preserveSmoothing
-    });
+    return { a, b, c, d, p, arcSectionLength, cornerRadius };
+  }
 
-    if (borderWidth && borderWidth > 0) {
-      // Border mode: use ::before pseudo-element
-      const className = `squircle-${++squircleCounter}`;
-      element.classList.add(className);
-
-      // Create outer path (full size)
-      const outerPath = getSvgPath({
-        width,
-        height,
-        cornerRadius,
-        cornerSmoothing,
-        preserveSmoothing
-      });
+  function drawTopRightPath({ cornerRadius, a, b, c, d, p, arcSectionLength }) {
+    if (!cornerRadius) return rounded`l ${p} 0`;
+    return rounded`
+      c ${a} 0 ${a + b} 0 ${a + b + c} ${d}
+      a ${cornerRadius} ${cornerRadius} 0 0 1 ${arcSectionLength} ${arcSectionLength}
+      c ${d} ${c} ${d} ${b + c} ${d} ${a + b + c}`;
+  }
+
+  function drawBottomRightPath({ cornerRadius, a, b, c, d, p, arcSectionLength }) {
+    if (!cornerRadius) return rounded`l 0 ${p}`;
+    return rounded`
+      c 0 ${a} 0 ${a + b} ${-d} ${a + b + c}
+      a ${cornerRadius} ${cornerRadius} 0 0 1 -${arcSectionLength} ${arcSectionLength}
+      c ${-c} ${d} ${-(b + c)} ${d} ${-(a + b + c)} ${d}`;
+  }
+
+  function drawBottomLeftPath({ cornerRadius, a, b, c, d, p, arcSectionLength }) {
+    if (!cornerRadius) return rounded`l ${-p} 0`;
+    return rounded`
+      c ${-a} 0 ${-(a + b)} 0 ${-(a + b + c)} ${-d}
+      a ${cornerRadius} ${cornerRadius} 0 0 1 -${arcSectionLength} -${arcSectionLength}
+      c ${-d} ${-c} ${-d} ${-(b + c)} ${-d} ${-(a + b + c)}`;
+  }
+
+  function drawTopLeftPath({ cornerRadius, a, b, c, d, p, arcSectionLength }) {
+    if (!cornerRadius) return rounded`l 0 ${-p}`;
+    return rounded`
+      c 0 ${-a} 0 ${-(a + b)} ${d} ${-(a + b + c)}
+      a ${cornerRadius} ${cornerRadius} 0 0 1 ${arcSectionLength} -${arcSectionLength}
+      c ${c} ${-d} ${b + c} ${-d} ${a + b + c} ${-d}`;
+  }
+
+  const CORNERS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+  // Every corner is the top-right construction turned a quarter turn per step
+  const CORNER_TURNS = { topRight: 0, bottomRight: 1, bottomLeft: 2, topLeft: 3 };
 
-      // Create inner path (reduced by border width)
-      const innerWidth = Math.max(0, width - borderWidth * 2);
-      const innerHeight = Math.max(0, height - borderWidth * 2);
-      const innerRadius = Math.max(0, cornerRadius - borderWidth);
-      
-      const innerPath = getSvgPath({
-        width: innerWidth,
-        height: innerHeight,
-        cornerRadius: innerRadius,
-        cornerSmoothing,
-        preserveSmoothing
+  // Quarter turns clockwise in screen coordinates (y down)
+  function turn([x, y], turns) {
+    for (let i = 0; i < turns; i++) [x, y] = [-y, x];
+    return [x, y];
+  }
+
+  // ---- corner shapes ----
+  // Besides the rounded corner, a corner can be cut into the box over the same
+  // extent p, so it lines up with the straight edges like a rounded one:
+  // - scoop: the rounded corner reflected across its chord, a concave cut-out
+  //   (ticket-style cards); it keeps its smoothing
+  // - bevel: a straight cut along the chord
+  // - notch: a square step into the box
+  // bevel and notch have no curve, so their smoothing is always 0.
+  const CORNER_SHAPES = ['round', 'scoop', 'bevel', 'notch'];
+
+  const STRAIGHT_SHAPES = new Set(['bevel', 'notch']);
+
+  function getCornerShape(options, corner) {
+    const shape = options[`${corner}CornerShape`] ?? options.cornerShape ?? 'round';
+    return CORNER_SHAPES.includes(shape) ? shape : 'round';
+  }
+
+  function getCornerSmoothing(options, corner) {
+    if (STRAIGHT_SHAPES.has(getCornerShape(options, corner))) return 0;
+    return options[`${corner}CornerSmoothing`] ?? options.cornerSmoothing ?? 1;
+  }
+
+  // Scales a point of the top-right frame for an elliptical corner (see
+  // distributeElliptical): the frame's y axis is vertical on screen for the
+  // top-right and bottom-left corners, its x axis for the other two
+  function scaleCorner([x, y], scaleY, turns) {
+    return turns % 2 ? [x * scaleY, y] : [x, y * scaleY];
+  }
+
+  // Relative commands of a cut or elliptical corner, drawn in the top-right
+  // frame and turned into place. interpolable keeps the c/a/c structure of a
+  // rounded corner (a zero-radius arc is a straight line).
+  function drawTurnedCorner({ shape, cornerRadius, scaleY, a, b, c, d, p, arcSectionLength: l }, turns, interpolable) {
+    const points = (...list) => list.map((point) => {
+      const [x, y] = turn(scaleCorner(point, scaleY, turns), turns);
+      return rounded`${x} ${y}`;
+    }).join(' ');
+    const arc = (sweep) => `${rounded`a ${cornerRadius} ${cornerRadius * scaleY} 0 0`} ${sweep}`;
+
+    if (shape === 'round') {
+      return `c ${points([a, 0], [a + b, 0], [a + b + c, d])} ${arc(1)} ${points([l, l])} ` +
+        `c ${points([d, c], [d, b + c], [d, a + b + c])}`;
+    }
+    if (shape === 'scoop') {
+      // Mirroring (x, y) -> (y, x) also reverses the arc's sweep
+      return `c ${points([0, a], [0, a + b], [d, a + b + c])} ${arc(0)} ${points([l, l])} ` +
+        `c ${points([c, d], [b + c, d], [a + b + c, d])}`;
+    }
+    if (shape === 'bevel') {
+      return interpolable ? `c 0 0 0 0 0 0 a 0 0 0 0 1 ${points([p, p])} c 0 0 0 0 0 0` : `l ${points([p, p])}`;
+    }
+    // notch
+    return interpolable
+      ? `c 0 0 ${points([0, p], [0, p])} a 0 0 0 0 1 ${points([p, 0])} c 0 0 0 0 0 0`
+      : `l ${points([0, p])} l ${points([p, 0])}`;
+  }
+
+  // The two corners sharing a side with each corner
+  const ADJACENT_CORNERS = {
+    topLeft: [{ corner: 'topRight', side: 'top' }, { corner: 'bottomLeft', side: 'left' }],
+    topRight: [{ corner: 'topLeft', side: 'top' }, { corner: 'bottomRight', side: 'right' }],
+    bottomRight: [{ corner: 'bottomLeft', side: 'bottom' }, { corner: 'topRight', side: 'right' }],
+    bottomLeft: [{ corner: 'bottomRight', side: 'bottom' }, { corner: 'topLeft', side: 'left' }]
+  };
+
+  /**
+   * Splits each side between its two corners so adjacent corners never overlap.
+   * Bigger corners choose first and get a share proportional to their radius;
+   * the smaller neighbour takes what is left of the side.
+   */
+  function distributeAndNormalize(radii, width, height) {
+    const budgets = { topLeft: -1, topRight: -1, bottomRight: -1, bottomLeft: -1 };
+    const clamped = { ...radii };
+
+    Object.entries(radii)
+      .sort(([, radius1], [, radius2]) => radius2 - radius1)
+      .forEach(([corner, radius]) => {
+        const budget = Math.min(...ADJACENT_CORNERS[corner].map(({ corner: adjacent, side }) => {
+          const adjacentRadius = clamped[adjacent];
+          if (radius === 0 && adjacentRadius === 0) return 0;
+
+          const sideLength = side === 'top' || side === 'bottom' ? width : height;
+          if (budgets[adjacent] >= 0) return sideLength - budgets[adjacent];
+          return (radius / (radius + adjacentRadius)) * sideLength;
+        }));
+
+        budgets[corner] = budget;
+        clamped[corner] = Math.min(radius, budget);
       });
 
-      // Apply outer clip-path to the element
-      element.style.clipPath = `path("${outerPath}")`;
-
-      // Create or update style for the ::before pseudo-element
-      let styleElement = document.getElementById(`squircle-style-${className}`);
-      if (!styleElement) {
-        styleElement = document.createElement('style');
-        styleElement.id = `squircle-style-${className}`;
-        document.head.appendChild(styleElement);
-      }
-
-      const innerOffsetX = borderWidth;
-      const innerOffsetY = borderWidth;
-
-      styleElement.textContent = `
-        .${className}::before {
-          content: '';
-          position: absolute;
-          top: ${innerOffsetY}px;
-          left: ${innerOffsetX}px;
-          width: ${innerWidth}px;
-          height: ${innerHeight}px;
-          clip-path: path("${innerPath}");
-          background: var(--squircle-inner-bg, inherit);
-          pointer-events: none;
+    const result = {};
+    for (const corner of CORNERS) {
+      result[corner] = { radius: clamped[corner], radiusY: clamped[corner], roundingAndSmoothingBudget: budgets[corner] };
+    }
+    return result;
+  }
+
+  /**
+   * Elliptical corners: each side is split between its two corners in
+   * proportion to their radii along it - horizontal radii on the top and
+   * bottom, vertical ones on the left and right. A corner is then built as a
+   * circular one of its horizontal radius, measuring the vertical side in
+   * units of radius / radiusY, and its vertical lengths are scaled back by
+   * radiusY / radius when drawn.
+   */
+  function distributeElliptical(radii, radiiY, width, height) {
+    const share = (radius, adjacentRadius, sideLength) =>
+      (radius > 0 ? (radius / (radius + adjacentRadius)) * sideLength : 0);
+
+    const result = {};
+    for (const corner of CORNERS) {
+      const [horizontal, vertical] = ADJACENT_CORNERS[corner];
+      const budget = share(radii[corner], radii[horizontal.corner], width);
+      const budgetY = share(radiiY[corner], radiiY[vertical.corner], height);
+      const radius = Math.min(radii[corner], budget);
+      const radiusY = Math.min(radiiY[corner], budgetY);
+      result[corner] = radius > 0 && radiusY > 0
+        ? { radius, radiusY, roundingAndSmoothingBudget: Math.min(budget, (budgetY * radius) / radiusY) }
+        : { radius: 0, radiusY: 0, roundingAndSmoothingBudget: 0 };
+    }
+    return result;
+  }
+
+  // Every radius option; the *RadiusY ones are the vertical radii of elliptical
+  // corners and fall back to the per-corner, then shared, vertical radius, then
+  // to the corner's horizontal radius
+  const RADIUS_OPTIONS = [
+    'cornerRadius',
+    'cornerRadiusY',
+    ...CORNERS.flatMap((corner) => [`${corner}CornerRadius`, `${corner}CornerRadiusY`])
+  ];
+
+  /**
+   * Per-corner radii clamped to the box, with each corner's share of its sides:
+   * { radius, radiusY, roundingAndSmoothingBudget } per corner, radius being
+   * the horizontal radius.
+   * capsule: every corner takes half the shorter side less what its smoothing
+   * spreads into the edges, so the ends are fully round and keep their
+   * smoothing (a plain stadium at smoothing 0) instead of squeezing it.
+   */
+  function getCornerRadii(options) {
+    const { width, height, cornerRadius = 0, cornerRadiusY, capsule = false } = options;
+    const radii = {};
+    const radiiY = {};
+    for (const corner of CORNERS) {
+      radii[corner] = capsule
+        ? Math.max(0, Math.min(width, height)) / 2 / (1 + getCornerSmoothing(options, corner))
+        : options[`${corner}CornerRadius`] ?? cornerRadius;
+      radiiY[corner] = capsule ? radii[corner] : options[`${corner}CornerRadiusY`] ?? cornerRadiusY ?? radii[corner];
+    }
+    if (CORNERS.every((corner) => radiiY[corner] === radii[corner])) return distributeAndNormalize(radii, width, height);
+    return distributeElliptical(radii, radiiY, width, height);
+  }
+
+  function getCornerParams(options) {
+    const { preserveSmoothing = true } = options;
+    const distributed = getCornerRadii(options);
+
+    const params = {};
+    for (const corner of CORNERS) {
+      params[corner] = {
+        ...getPathParamsForCorner({
+          cornerRadius: distributed[corner].radius,
+          cornerSmoothing: getCornerSmoothing(options, corner),
+          preserveSmoothing,
+          roundingAndSmoothingBudget: distributed[corner].roundingAndSmoothingBudget
+        }),
+        shape: getCornerShape(options, corner),
+        scaleY: distributed[corner].radius ? distributed[corner].radiusY / distributed[corner].radius : 1
+      };
+      // p is the corner's extent along the top/bottom edge, pY along the left/right edge
+      params[corner].pY = params[corner].p * params[corner].scaleY;
+    }
+    return params;
+  }
+
+  /**
+   * The box grown by offset on every side (shrunk when negative), like
+   * box-shadow spread: rounded corners follow, square ones stay square.
+   * Returns getSvgPath options for the new box, which is drawn at (0, 0).
+   */
+  function getOffsetShape(options, offset) {
+    const grow = (radius) => (radius > 0 ? Math.max(0, radius + offset) : 0);
+    const shape = {
+      ...options,
+      width: Math.max(0, options.width + offset * 2),
+      height: Math.max(0, options.height + offset * 2),
+      cornerRadius: grow(options.cornerRadius ?? 0)
+    };
+    for (const key of RADIUS_OPTIONS) {
+      if (key !== 'cornerRadius' && options[key] != null) shape[key] = grow(options[key]);
+    }
+    return shape;
+  }
+
+  /**
+   * Where the outline is drawn: its box at (x, y), and the corner params. The
+   * options box has its top-left corner at (options.x, options.y), (0, 0) by
+   * default; options.offset moves the outline out (positive) or in (negative)
+   * from it.
+   */
+  function getOutlineBox(options) {
+    const { offset = 0, x = 0, y = 0 } = options;
+    const shape = offset ? getOffsetShape(options, offset) : options;
+    return { x: x - offset, y: y - offset, width: shape.width, height: shape.height, params: getCornerParams(shape) };
+  }
+
+  // A square corner drawn with the commands of a rounded one
+  const FLAT_CORNER = 'c 0 0 0 0 0 0 a 0 0 0 0 1 0 0 c 0 0 0 0 0 0';
+
+  /**
+   * options: { width, height, cornerRadius?, cornerRadiusY?, cornerSmoothing?, preserveSmoothing?,
+   *            topLeftCornerRadius?, topLeftCornerRadiusY?, ..., topLeftCornerSmoothing?, ...,
+   *            cornerShape?: 'round' | 'scoop' | 'bevel' | 'notch', topLeftCornerShape?, ...,
+   *            capsule?: boolean, offset?: number, x?: number, y?: number,
+   *            interpolable?: boolean, precision?: number, relative?: boolean, compact?: boolean }
+   * Per-corner values fall back to cornerRadius / cornerSmoothing / cornerShape.
+   * A *RadiusY makes the corner elliptical with that vertical radius, like
+   * `border-radius: 16px / 8px`; see RADIUS_OPTIONS for its fallbacks.
+   * offset draws the outline that many px outside the width x height box (inside
+   * when negative), still in the box's coordinates, e.g. -paddingWidth for the
+   * padding box; capsule: see getCornerRadii. x/y place the box's top-left
+   * corner (default 0, 0).
+   * interpolable draws square corners with the same commands as rounded ones, so
+   * any two paths share one command structure and CSS can transition between them.
+   * preserveSmoothing defaults to true, unlike figma-squircle (false). Given
+   * the same preserveSmoothing and no precision/relative/compact, the output
+   * matches figma-squircle exactly; with any of those the path goes through
+   * serializePath.
+   */
+  function getSvgPath(options) {
+    const { interpolable = false, precision, relative, compact } = options;
+    const { x, y, width, height, params } = getOutlineBox(options);
+    const draw = (drawCorner, corner) => {
+      const cornerParams = params[corner];
+      if (!cornerParams.cornerRadius) return interpolable ? FLAT_CORNER : drawCorner(cornerParams);
+      if (cornerParams.shape !== 'round' || cornerParams.scaleY !== 1) {
+        return drawTurnedCorner(cornerParams, CORNER_TURNS[corner], interpolable);
+      }
+      return drawCorner(cornerParams);
+    };
+
+    const path = `
+      M ${x + width - params.topRight.p} ${y}
+      ${draw(drawTopRightPath, 'topRight')}
+      L ${x + width} ${y + height - params.bottomRight.pY}
+      ${draw(drawBottomRightPath, 'bottomRight')}
+      L ${x + params.bottomLeft.p} ${y + height}
+      ${draw(drawBottomLeftPath, 'bottomLeft')}
+      L ${x} ${y + params.topLeft.pY}
+      ${draw(drawTopLeftPath, 'topLeft')}
+      Z
+    `.replace(/\s+/g, ' ').trim();
+    if (precision == null && relative == null && compact == null) return path;
+    return serializePath(path, { precision, relative, compact });
+  }
+
+  // ---- path serialisation ----
+
+  // Parameters per path command
+  const COMMAND_PARAMS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+  // Indices of the x/y coordinates among each command's parameters; the other
+  // parameters (arc radii, rotation, flags) are not positions
+  const COMMAND_POINTS = { m: [0], l: [0], c: [0, 2, 4], s: [0, 2], q: [0, 2], t: [0], a: [5] };
+
+  /**
+   * Re-serialises an SVG path.
+   * precision: decimals kept (default 4); relative: write every command relative
+   * (otherwise each keeps its case); compact: drop all optional whitespace and
+   * leading zeros.
+   * Relative values are taken between rounded absolute positions, so rounding
+   * errors don't add up along the path.
+   */
+  function serializePath(path, { precision = 4, relative = false, compact = false } = {}) {
+    const tokens = path.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+    const round = (value) => +value.toFixed(precision) || 0;
+    const format = (value) => {
+      const text = `${round(value)}`;
+      return compact ? text.replace(/^(-?)0\./, '$1.') : text;
+    };
+
+    let exact = [0, 0];     // current point, unrounded
+    let written = [0, 0];   // current point as written out (rounded)
+    let start = [0, 0];
+    let writtenStart = [0, 0];
+    const parts = [];
+
+    for (let i = 0; i < tokens.length;) {
+      let command = tokens[i++];
+      let type = command.toLowerCase();
+      const isRelative = command === type;
+      const count = COMMAND_PARAMS[type];
+      if (count === undefined) throw new Error(`Unsupported path command: ${command}`);
+
+      // Commands repeat implicitly while parameters follow (after M they are L)
+      do {
+        const outputType = relative || isRelative ? type : command;
+        const values = tokens.slice(i, i + count).map(Number);
+        i += count;
+        const next = [...exact];
+        const out = [];
+
+        if (type === 'z') {
+          exact = [...start];
+          written = [...writtenStart];
+        } else if (type === 'h' || type === 'v') {
+          const axis = type === 'h' ? 0 : 1;
+          next[axis] = isRelative ? exact[axis] + values[0] : values[0];
+          const target = round(next[axis]);
+          out.push(outputType === type ? target - written[axis] : target);
+          exact = next;
+          written[axis] = target;
+        } else {
+          const points = COMMAND_POINTS[type];
+          let end = written;
+          values.forEach((value, index) => {
+            if (!points.some((point) => index === point || index === point + 1)) {
+              out.push(value);
+              return;
+            }
+            const axis = points.includes(index) ? 0 : 1;
+            const absolute = isRelative ? exact[axis] + value : value;
+            const target = round(absolute);
+            out.push(outputType === type ? target - written[axis] : target);
+            if (index >= count - 2) {
+              next[axis] = absolute;
+              end = axis === 0 ? [target, end[1]] : [end[0], target];
+            }
+          });
+          exact = next;
+          written = end;
+          if (type === 'm') {
+            start = [...exact];
+            writtenStart = [...written];
+          }
+        }
+
+        parts.push({ command: outputType, values: out.map(format) });
+        if (type === 'm') {
+          type = 'l';
+          command = isRelative ? 'l' : 'L';
+        }
+      } while (count > 0 && i < tokens.length && !/[a-z]/i.test(tokens[i]));
+    }
+
+    if (!compact) {
+      return parts.map(({ command, values }) => [command, ...values].join(' ')).join(' ');
+    }
+    return parts.map(({ command, values }) => command + values.reduce((text, value, index) => (
+      index === 0 || value.startsWith('-') || (value.startsWith('.') && /\.\d*$/.test(text)) ? text + value : `${text} ${value}`
+    ), '')).join('');
+  }
+
+  // ---- standalone shapes ----
+  // Squircles outside of element clipping: SVG documents (icons, OG images),
+  // canvas paths and CSS declarations. options are getSvgPath options.
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  function toSvgDataUri(content, width, height, viewBox = `0 0 ${width} ${height}`) {
+    const svg = `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="${viewBox}">${content}</svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+  }
+
+  /**
+   * Standalone SVG document of the squircle
+   * options: getSvgPath options plus fill?: string (default '#000')
+   */
+  function getSvgDocument(options) {
+    const { width, height, fill = '#000' } = options;
+    return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+      `<path d="${getSvgPath(options)}" fill="${fill}"/></svg>`;
+  }
+
+  /**
+   * Path2D of the squircle, for ctx.fill / ctx.clip on a canvas
+   */
+  function getPath2D(options) {
+    if (typeof Path2D === 'undefined') throw new Error('Path2D is not available in this environment');
+    return new Path2D(getSvgPath(options));
+  }
+
+  /**
+   * clip-path declaration for an element of options.width x options.height
+   */
+  function getClipPathCss(options) {
+    return `clip-path: path("${getSvgPath({ interpolable: true, ...options })}");`;
+  }
+
+  /**
+   * mask declarations (with the -webkit- prefix) for an element of options.width x options.height
+   */
+  function getMaskCss(options) {
+    const { width, height } = options;
+    const image = toSvgDataUri(`<path d="${getSvgPath(options)}"/>`, width, height);
+    const mask = `url("${image}") 0 0 / 100% 100% no-repeat`;
+    return `-webkit-mask: ${mask}; mask: ${mask};`;
+  }
+
+  // Corner Smoothing Core - shared by the vanilla API and the init helper
+  // - Lazy feature detection for clip-path: path(...); safe to import without a DOM
+  // - Per-element caching of generated clipPaths/layers
+  // - Border stroked in a separate layer; element background and pseudo-elements untouched
+  // - box-shadow and outline redrawn along the squircle instead of being clipped away
+  // - Global option defaults (configure) and option validation
+  // - Skips DOM writes when a rendered value (e.g. the clip path) is unchanged
+  // - Shape-aware hit-testing and optional pointer events limited to the outline
+  // - Batch manager: one ResizeObserver and one animation frame for many elements
+  // - Lossless teardown: overridden inline styles are restored exactly
+  // - Animated radius/smoothing; rendered paths are CSS-transitionable
+  // - Optional CSS Paint API rendering (corner-smoothing-paint.worklet.js)
+  // - Figma-accurate corner geometry from corner-smoothing-path.esm.js
+
+
+
+  // ---- per-side paths, for stroking each side of a border separately ----
+  // Every corner is split in the middle of its arc, i.e. on the corner's
+  // diagonal (a notch at its inner point). A side runs from the diagonal of one
+  // corner to the diagonal of the next.
+  const SIDES = ['top', 'right', 'bottom', 'left'];
+
+  const SIDE_CORNERS = {
+    top: ['topLeft', 'topRight'],
+    right: ['topRight', 'bottomRight'],
+    bottom: ['bottomRight', 'bottomLeft'],
+    left: ['bottomLeft', 'topLeft']
+  };
+
+  function getCornerHalves({ shape, cornerRadius, scaleY, a, b, c, d, p, arcSectionLength }, turns) {
+    if (!cornerRadius) return { first: '', second: '', toDiagonal: [0, 0] };
+    const place = (point) => turn(scaleCorner(point, scaleY, turns), turns);
+    const line = ([x, y]) => rounded`l ${x} ${y}`;
+    if (shape === 'bevel') {
+      const half = place([p / 2, p / 2]);
+      return { first: line(half), second: line(half), toDiagonal: half };
+    }
+    if (shape === 'notch') {
+      const step = place([0, p]);
+      return { first: line(step), second: line(place([p, 0])), toDiagonal: step };
+    }
+
+    // The arc midpoint lies off the chord midpoint by the sagitta, away from the centre
+    const l = arcSectionLength;
+    const sagitta = cornerRadius - Math.sqrt(Math.max(0, cornerRadius ** 2 - (l * l) / 2));
+    const offset = sagitta / Math.SQRT2;
+
+    // A scoop is the rounded corner mirrored across its chord, sweeping the other way
+    const scoop = shape === 'scoop';
+    const [p1, p2, p3, m, n, q1, q2, q3] = [
+      [a, 0], [a + b, 0], [a + b + c, d],
+      [l / 2 + offset, l / 2 - offset],
+      [l / 2 - offset, l / 2 + offset],
+      [d, c], [d, b + c], [d, a + b + c]
+    ].map(([x, y]) => place(scoop ? [y, x] : [x, y]));
+    const sweep = scoop ? '0' : '1';
+    const arc = (end) => rounded`a ${cornerRadius} ${cornerRadius * scaleY} 0 0 ${sweep} ${end[0]} ${end[1]}`;
+    const curve = (...points) => `c ${points.map(([x, y]) => rounded`${x} ${y}`).join(' ')}`;
+
+    return {
+      first: `${curve(p1, p2, p3)} ${arc(m)}`,
+      second: `${arc(n)} ${curve(q1, q2, q3)}`,
+      toDiagonal: [p3[0] + m[0], p3[1] + m[1]]
+    };
+  }
+
+  /**
+   * Open path for one side of the outline, from corner diagonal to corner diagonal.
+   * Takes the same options as getSvgPath.
+   */
+  function getSideSvgPath(options, side) {
+    const { x: left, y: top, width, height, params } = getOutlineBox(options);
+    const starts = {
+      topRight: [left + width - params.topRight.p, top],
+      bottomRight: [left + width, top + height - params.bottomRight.pY],
+      bottomLeft: [left + params.bottomLeft.p, top + height],
+      topLeft: [left, top + params.topLeft.pY]
+    };
+
+    const [from, to] = SIDE_CORNERS[side];
+    const fromHalves = getCornerHalves(params[from], CORNER_TURNS[from]);
+    const toHalves = getCornerHalves(params[to], CORNER_TURNS[to]);
+    const [x, y] = starts[from];
+    const [dx, dy] = fromHalves.toDiagonal;
+
+    return `
+      M ${rounded`${x + dx} ${y + dy}`}
+      ${fromHalves.second}
+      L ${starts[to][0]} ${starts[to][1]}
+      ${toHalves.first}
+    `.replace(/\s+/g, ' ').trim();
+  }
+
+  // Border mode: the inner outline shrinks every corner by the border width
+  function getInnerShape(options, borderWidth) {
+    const inner = { ...options, cornerRadius: Math.max(0, (options.cornerRadius ?? 0) - borderWidth) };
+    for (const key of RADIUS_OPTIONS) {
+      if (key !== 'cornerRadius' && options[key] != null) inner[key] = Math.max(0, options[key] - borderWidth);
+    }
+    return inner;
+  }
+
+  // ---- robust feature detection for clip-path: path(...) ----
+  // Detected on first render rather than at import, so the module loads without
+  // a DOM (Node, SSR)
+  let clipPathPathSupport = null;
+
+  function supportsClipPathPath() {
+    clipPathPathSupport ??= detectClipPathPath();
+    return clipPathPathSupport;
+  }
+
+  function detectClipPathPath() {
+    if (typeof document === 'undefined') return false;
+    try {
+      // MUST use a valid mini-path or it may return false
+      if (typeof CSS !== 'undefined' && CSS.supports?.('clip-path', 'path("M0 0 H 10 V 10 H 0 Z")')) return true;
+
+      // Secondary check using an attached element (some engines need it)
+      const probe = document.createElement('div');
+      probe.style.cssText = 'position:absolute;left:-9999px;top:-9999px;width:10px;height:10px;';
+      document.documentElement.appendChild(probe);
+      probe.style.clipPath = 'path("M0 0 H 10 V 10 H 0 Z")';
+      const ok = !!getComputedStyle(probe).clipPath;
+      probe.remove();
+      return ok;
+    } catch {
+      return false;
+    }
+  }
+
+  // ---- measuring ----
+  // Sizes are the element's own layout size in CSS px: fractional, and
+  // unaffected by transforms and zoom on it or its ancestors, which scale the
+  // clip along with the element (getBoundingClientRect includes them). The
+  // squircle is drawn on options.box: the border box (default), padding box or
+  // content box, placed inside the border box.
+
+  /**
+   * Fractional border-box [width, height] of element. The computed width and
+   * height are its used size; boxes without one (inline boxes) fall back to
+   * the rounded offset size.
+   */
+  function getBorderBoxSize(element) {
+    const computed = getComputedStyle(element);
+    const width = parseFloat(computed.width);
+    const height = parseFloat(computed.height);
+    if (!Number.isFinite(width) || !Number.isFinite(height)) return [element.offsetWidth, element.offsetHeight];
+    if (computed.boxSizing === 'border-box') return [width, height];
+    const sum = (...properties) => properties.reduce((total, property) => total + (parseFloat(computed[property]) || 0), 0);
+    return [
+      width + sum('paddingLeft', 'paddingRight', 'borderLeftWidth', 'borderRightWidth'),
+      height + sum('paddingTop', 'paddingBottom', 'borderTopWidth', 'borderBottomWidth')
+    ];
+  }
+
+  // { top, right, bottom, left } of box inside the border box: the border
+  // widths, plus the padding for the content box
+  function getBoxInsets(element, box) {
+    const insets = { top: 0, right: 0, bottom: 0, left: 0 };
+    if (box !== 'padding-box' && box !== 'content-box') return insets;
+    const computed = getComputedStyle(element);
+    for (const side of SIDES) {
+      insets[side] = (parseFloat(computed[`border${capitalize(side)}Width`]) || 0) +
+        (box === 'content-box' ? parseFloat(computed[`padding${capitalize(side)}`]) || 0 : 0);
+    }
+    return insets;
+  }
+
+  function getBoxSize([width, height], insets) {
+    return {
+      width: Math.max(0, width - insets.left - insets.right),
+      height: Math.max(0, height - insets.top - insets.bottom)
+    };
+  }
+
+  // ---- defaults and option validation ----
+  // Every render resolves its options against the defaults set with configure().
+  // Invalid values warn once and fall back (numbers out of range are clamped,
+  // anything else uses the default); configure({ strict: true }) makes them throw.
+
+  // cornerRadius has none: renders draw a missing radius as 0, and the init
+  // helper falls back to its own radius unless one is configured
+  const BUILT_IN_DEFAULTS = {
+    cornerSmoothing: 1,
+    preserveSmoothing: true,
+    mode: 'clip',
+    fallback: 'svg',
+    box: 'border-box'
+  };
+  let defaults = { ...BUILT_IN_DEFAULTS };
+  let strictOptions = false;
+  const warnedOptions = new Set();
+
+  const CORNER_KEY = '(?:topLeft|topRight|bottomRight|bottomLeft)Corner';
+  const LENGTH_OPTION = new RegExp(`^(?:cornerRadiusY?|${CORNER_KEY}RadiusY?|border(?:Top|Right|Bottom|Left)?Width)$`);
+  const SMOOTHING_OPTION = new RegExp(`^(?:cornerSmoothing|${CORNER_KEY}Smoothing)$`);
+  const BOOLEAN_OPTIONS = ['preserveSmoothing', 'capsule', 'outline'];
+  const ENUM_OPTIONS = {
+    mode: ['clip', 'mask', 'paint'],
+    fallback: ['svg', 'mask', 'border-radius', 'none'],
+    pointerEvents: ['auto', 'shape'],
+    box: ['border-box', 'padding-box', 'content-box']
+  };
+
+  function getAllowedValues(key) {
+    if (/^border(?:Top|Right|Bottom|Left)?Style$/.test(key)) {
+      return ['solid', 'dashed', 'dotted', 'double', 'none', 'hidden'];
+    }
+    if (new RegExp(`^(?:cornerShape|${CORNER_KEY}Shape)$`).test(key)) return CORNER_SHAPES;
+    return ENUM_OPTIONS[key];
+  }
+
+  const describe = (value) => (typeof value === 'string' ? `"${value}"` : String(value));
+
+  // Throws error in strict mode; otherwise warns once and returns replacement
+  function reportInvalid(error, replacement, action) {
+    if (strictOptions) throw error;
+    const message = `${error.message}; ${action}.`;
+    if (!warnedOptions.has(message)) {
+      warnedOptions.add(message);
+      console.warn(message);
+    }
+    return replacement;
+  }
+
+  /**
+   * The value to use for one option, undefined to leave it to the defaults
+   */
+  function validateOption(key, value) {
+    if (value === undefined) return undefined;
+
+    const isSmoothing = SMOOTHING_OPTION.test(key);
+    if (isSmoothing || LENGTH_OPTION.test(key) || key === 'offset') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return reportInvalid(new TypeError(`${key} must be a finite number, got ${describe(value)}`), undefined, 'ignored');
+      }
+      const min = key === 'offset' ? -Infinity : 0;
+      const max = isSmoothing ? 1 : Infinity;
+      if (value < min || value > max) {
+        const clamped = Math.min(max, Math.max(min, value));
+        const range = isSmoothing ? 'between 0 and 1' : 'at least 0';
+        return reportInvalid(new RangeError(`${key} must be ${range}, got ${value}`), clamped, `clamped to ${clamped}`);
+      }
+      return value;
+    }
+
+    const allowed = getAllowedValues(key);
+    if (allowed && !allowed.includes(value)) {
+      return reportInvalid(
+        new RangeError(`${key} must be one of ${allowed.join(', ')}, got ${describe(value)}`),
+        undefined,
+        'ignored'
+      );
+    }
+    if (BOOLEAN_OPTIONS.includes(key) && typeof value !== 'boolean') {
+      return reportInvalid(new TypeError(`${key} must be a boolean, got ${describe(value)}`), undefined, 'ignored');
+    }
+    return value;
+  }
+
+  // internal: options validated and completed with the defaults
+  function resolveOptions(options) {
+    const resolved = { ...defaults };
+    for (const [key, value] of Object.entries(options || {})) {
+      const valid = validateOption(key, value);
+      if (valid !== undefined) resolved[key] = valid;
+    }
+    return resolved;
+  }
+
+  /**
+   * Set defaults for the options of every later render (renderSquircle,
+   * observers, managers, bindings and the init helper), e.g.
+   *   configure({ cornerSmoothing: 0.6, mode: 'mask' })
+   * Values are validated like render options; undefined resets an option to
+   * the built-in default. strict: true makes invalid options throw a
+   * TypeError/RangeError instead of warning.
+   * Returns the current defaults and strict setting.
+   */
+  function configure(settings = {}) {
+    const { strict, ...options } = settings;
+    if (strict !== undefined) strictOptions = !!strict;
+    for (const [key, value] of Object.entries(options)) {
+      if (value === undefined) {
+        if (key in BUILT_IN_DEFAULTS) defaults[key] = BUILT_IN_DEFAULTS[key];
+        else delete defaults[key];
+        continue;
+      }
+      const valid = validateOption(key, value);
+      if (valid !== undefined) defaults[key] = valid;
+    }
+    return { ...defaults, strict: strictOptions };
+  }
+
+  // ---- per-element caches to avoid rework / leaks ----
+  const CLIP_MAP  = new WeakMap();     // HTMLElement -> { outer? } SVG <clipPath> (svg fallback)
+  const PROPS_MAP = new WeakMap();     // HTMLElement -> inline properties set by applyDeclarations
+  const LAYER_MAP = new WeakMap();     // HTMLElement -> inner layer <span> (border, inset shadows)
+  const OUTER_MAP = new WeakMap();     // HTMLElement -> outer layer <span> sibling (shadows, outline)
+  const SHADOW_MAP = new WeakMap();    // HTMLElement -> own box-shadow, read before it was suppressed
+  const ORIGINAL_MAP = new WeakMap();  // HTMLElement -> { property: { value, priority, written, applied } } authored inline values
+  const STYLE_ATTR_MAP = new WeakMap(); // HTMLElement -> style attribute before the first override
+  const WATCHER_MAP = new WeakMap();   // HTMLElement -> Set of functions stopping observers/managers watching it
+  const SHAPE_MAP = new WeakMap();     // HTMLElement -> { shape, size } last rendered outline, placed in its border box of size
+
+  // simple id counter for unique clipPath ids
+  let clipCounter = 0;
+
+  // ---- fallbacks for engines without clip-path: path(...) ----
+  // 'svg'           -> SVG <clipPath clipPathUnits="objectBoundingBox"> referenced via url(#id)
+  // 'mask'          -> mask-image with an SVG data URI of the path
+  // 'border-radius' -> plain border-radius using the clamped corner radii (no smoothing)
+  // 'none'          -> leave the element untouched
+  let clipDefs = null;
+  let warnedFallback = false;
+
+  function getClipDefs() {
+    if (!clipDefs || !clipDefs.isConnected) {
+      const svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('aria-hidden', 'true');
+      svg.style.cssText = 'position:absolute;width:0;height:0;overflow:hidden;';
+      clipDefs = document.createElementNS(SVG_NS, 'defs');
+      svg.appendChild(clipDefs);
+      document.body.appendChild(svg);
+    }
+    return clipDefs;
+  }
+
+  // internal: create or update the <clipPath> for one slot of an element, returns its id
+  function upsertClipPath(el, slot, path, width, height) {
+    const clips = CLIP_MAP.get(el) || {};
+    let clip = clips[slot];
+    if (!clip) {
+      clip = document.createElementNS(SVG_NS, 'clipPath');
+      clip.id = `squircle-clip-${++clipCounter}`;
+      clip.setAttribute('clipPathUnits', 'objectBoundingBox');
+      clip.appendChild(document.createElementNS(SVG_NS, 'path'));
+      clips[slot] = clip;
+      CLIP_MAP.set(el, clips);
+    }
+    if (!clip.isConnected) getClipDefs().appendChild(clip);
+
+    // objectBoundingBox units run 0..1, so scale the pixel path down
+    const transform = `scale(${1 / width} ${1 / height})`;
+    if (clip.firstChild.getAttribute('d') !== path) clip.firstChild.setAttribute('d', path);
+    if (clip.firstChild.getAttribute('transform') !== transform) clip.firstChild.setAttribute('transform', transform);
+    return clip.id;
+  }
+
+  // internal: CSS declarations that clip a width x height border box to path;
+  // shape is the squircle's own box, for the border-radius fallback
+  function getClipDeclarations(el, slot, path, shape, fallback, [width, height] = [shape.width, shape.height]) {
+    switch (fallback) {
+      case 'svg':
+        return { 'clip-path': `url(#${upsertClipPath(el, slot, path, width, height)})` };
+      case 'mask':
+        return toLayerDeclarations('mask', [
+          [`url("${toSvgDataUri(`<path d="${path}"/>`, width, height)}")`, '0 0', '100% 100%']
+        ]);
+      case 'border-radius': {
+        const radii = getCornerRadii(shape);
+        const horizontal = CORNERS.map((corner) => `${radii[corner].radius}px`).join(' ');
+        if (CORNERS.every((corner) => radii[corner].radiusY === radii[corner].radius)) return { 'border-radius': horizontal };
+        return { 'border-radius': `${horizontal} / ${CORNERS.map((corner) => `${radii[corner].radiusY}px`).join(' ')}` };
+      }
+      default:
+        return { 'clip-path': `path("${path}")` };
+    }
+  }
+
+  /**
+   * Static CSS giving selector a squircle at a known border-box size, so server
+   * rendered pages have smoothed corners on first paint; a squircleObserver
+   * started on hydration takes over from there. Engines without
+   * clip-path: path() get a mask-image instead. DOM-free.
+   * options: renderSquircle shape options plus width and height
+   */
+  function getSquircleCss(selector, options) {
+    return `${selector} { ${getClipPathCss(options)} }\n` +
+      `@supports not (clip-path: path("M 0 0 H 1 V 1 Z")) {\n` +
+      `  ${selector} { clip-path: none; ${getMaskCss(options)} }\n` +
+      `}\n`;
+  }
+
+  // border-radius corners are plain arcs, i.e. squircles without smoothing
+  function withoutSmoothing(shape) {
+    const flat = { ...shape, cornerSmoothing: 0 };
+    for (const corner of CORNERS) delete flat[`${corner}CornerSmoothing`];
+    return flat;
+  }
+
+  // internal: set declarations inline, restoring ones a previous call set but this one doesn't
+  function applyDeclarations(el, declarations) {
+    for (const property of PROPS_MAP.get(el) || []) {
+      if (!(property in declarations)) restoreStyle(el, property);
+    }
+    for (const [property, value] of Object.entries(declarations)) {
+      overrideStyle(el, property, value);
+    }
+    PROPS_MAP.set(el, Object.keys(declarations));
+  }
+
+  // ---- authored inline styles ----
+  // Every inline property the library writes goes through overrideStyle, which
+  // remembers the author's value first, so options can be re-read from the
+  // authored styles and overrides can be undone. A value the author writes over
+  // an override becomes the new authored value.
+
+  // internal: the override records of el, with author writes since the last override adopted
+  function getOriginals(el) {
+    const originals = ORIGINAL_MAP.get(el) || {};
+    for (const [property, record] of Object.entries(originals)) {
+      const current = el.style.getPropertyValue(property);
+      if (current !== record.applied) {
+        originals[property] = { value: current, priority: el.style.getPropertyPriority(property), applied: current };
+      }
+    }
+    return originals;
+  }
+
+  function setInline(el, property, value, priority = '') {
+    el.style.removeProperty(property);
+    if (value) el.style.setProperty(property, value, priority);
+  }
+
+  /**
+   * Set an inline style property, remembering the author's inline value on the
+   * first override. Writing the value that is already applied is skipped.
+   */
+  function overrideStyle(el, property, value) {
+    if (!STYLE_ATTR_MAP.has(el)) STYLE_ATTR_MAP.set(el, el.getAttribute('style'));
+    const originals = getOriginals(el);
+    ORIGINAL_MAP.set(el, originals);
+    if (!(property in originals)) {
+      originals[property] = {
+        value: el.style.getPropertyValue(property),
+        priority: el.style.getPropertyPriority(property)
+      };
+    }
+    const record = originals[property];
+    if (record.written === value) return;
+    el.style.setProperty(property, value);
+    record.written = value;
+    record.applied = el.style.getPropertyValue(property);
+  }
+
+  /**
+   * Put back the author's inline value of an overridden property
+   */
+  function restoreStyle(el, property) {
+    const originals = getOriginals(el);
+    if (!(property in originals)) return;
+    const { value, priority } = originals[property];
+    setInline(el, property, value, priority);
+    delete originals[property];
+  }
+
+  /**
+   * Run read() with the author's inline styles temporarily back in place, so
+   * computed styles reflect the page rather than the library's overrides.
+   * Returns what read() returns.
+   */
+  function withAuthoredStyles(el, read) {
+    const originals = Object.entries(getOriginals(el));
+    for (const [property, { value, priority }] of originals) {
+      setInline(el, property, value, priority);
+    }
+    try {
+      return read();
+    } finally {
+      for (const [property, { applied }] of originals) setInline(el, property, applied);
+    }
+  }
+
+  // internal: restore every override of el; when the author's declarations are
+  // all back unchanged, the style attribute is restored verbatim (order, absence)
+  function restoreAllStyles(el) {
+    for (const property of Object.keys(getOriginals(el))) restoreStyle(el, property);
+    if (STYLE_ATTR_MAP.has(el)) {
+      const attr = STYLE_ATTR_MAP.get(el);
+      const authored = document.createElement('div').style;
+      authored.cssText = attr ?? '';
+      const entries = (style) => [...style]
+        .map((property) => `${property}:${style.getPropertyValue(property)}!${style.getPropertyPriority(property)}`)
+        .sort()
+        .join(';');
+      if (entries(el.style) === entries(authored)) {
+        if (attr === null) el.removeAttribute('style');
+        else el.setAttribute('style', attr);
+      }
+    }
+    ORIGINAL_MAP.delete(el);
+    STYLE_ATTR_MAP.delete(el);
+  }
+
+  // internal: [image, position, size] layers -> mask-* or background-* declarations
+  function toLayerDeclarations(kind, layers) {
+    const declarations = {};
+    const values = {
+      image: layers.map((layer) => layer[0]).join(', '),
+      position: layers.map((layer) => layer[1]).join(', '),
+      size: layers.map((layer) => layer[2]).join(', '),
+      repeat: 'no-repeat'
+    };
+    for (const [key, value] of Object.entries(values)) {
+      if (kind === 'mask') declarations[`-webkit-mask-${key}`] = value;
+      declarations[`${kind}-${key}`] = value;
+    }
+    return declarations;
+  }
+
+  // ---- size-independent mask mode ----
+  // The corners are cut out of one oversized squircle and pinned to the four
+  // corners as mask layers, solid bands cover the rest. Nothing depends on
+  // the element size, so the shape follows resizes without an observer as long
+  // as opposite corners don't overlap (no radius clamping is applied).
+
+  // Widths of the 9-slice border: how far the corners on each side reach into
+  // it - vertical radii into the top and bottom bands, horizontal ones into the sides
+  function getSliceWidths(shape) {
+    const { cornerRadius = 0, cornerRadiusY, cornerSmoothing = 1 } = shape;
+    const reach = {};
+    const reachY = {};
+    for (const corner of CORNERS) {
+      const radius = shape[`${corner}CornerRadius`] ?? cornerRadius;
+      const radiusY = shape[`${corner}CornerRadiusY`] ?? cornerRadiusY ?? radius;
+      const smoothing = shape[`${corner}CornerSmoothing`] ?? cornerSmoothing;
+      reach[corner] = Math.ceil((1 + smoothing) * radius);
+      reachY[corner] = Math.ceil((1 + smoothing) * radiusY);
+    }
+    return {
+      top: Math.max(reachY.topLeft, reachY.topRight),
+      right: Math.max(reach.topRight, reach.bottomRight),
+      bottom: Math.max(reachY.bottomRight, reachY.bottomLeft),
+      left: Math.max(reach.bottomLeft, reach.topLeft)
+    };
+  }
+
+  // internal: corner layers cut from draw(box) rendered at an oversized size.
+  // slices must be at least as wide as everything draw() puts near the corners.
+  function getCornerLayers(shape, slices, draw) {
+    const { top, right, bottom, left } = slices;
+
+    // Twice the slices leaves every corner its full, unclamped construction
+    const width = 2 * (left + right) || 1;
+    const height = 2 * (top + bottom) || 1;
+    const content = draw({ ...shape, width, height });
+    const crop = (x, y, w, h) => `url("${toSvgDataUri(content, w, h, `${x} ${y} ${w} ${h}`)}")`;
+
+    return [
+      [crop(0, 0, left, top), 'left top', left, top],
+      [crop(width - right, 0, right, top), 'right top', right, top],
+      [crop(width - right, height - bottom, right, bottom), 'right bottom', right, bottom],
+      [crop(0, height - bottom, left, bottom), 'left bottom', left, bottom]
+    ]
+      .filter(([, , w, h]) => w > 0 && h > 0)
+      .map(([image, position, w, h]) => [image, position, `${w}px ${h}px`]);
+  }
+
+  // internal: mask declarations drawing the squircle at any element size
+  function getMaskDeclarations(shape) {
+    const slices = getSliceWidths(shape);
+    const { top, right, bottom, left } = slices;
+    const layers = getCornerLayers(shape, slices, (box) => `<path d="${getSvgPath(box)}"/>`);
+
+    layers.push(
+      ['linear-gradient(#000, #000)', `0 ${top}px`, `100% calc(100% - ${top + bottom}px)`],
+      ['linear-gradient(#000, #000)', `${left}px 0`, `calc(100% - ${left + right}px) 100%`]
+    );
+    return toLayerDeclarations('mask', layers);
+  }
+
+  // ---- CSS Paint API mode ----
+  // mode: 'paint' hands the shape to the paint(squircle) worklet through custom
+  // properties; the browser repaints it on resize. Until the worklet is
+  // registered, and where the Paint API is missing, it renders like mode 'clip'.
+  let paintModule = null;
+  let paintReady = false;
+
+  /**
+   * Load the paint(squircle) worklet from url (corner-smoothing-paint.worklet.js,
+   * served next to corner-smoothing-path.esm.js which it imports).
+   * Resolves true once registered, false where worklets are unavailable or it fails to load.
+   */
+  function registerSquirclePaint(url) {
+    if (!paintModule) {
+      const worklet = typeof CSS !== 'undefined' ? CSS.paintWorklet : undefined;
+      paintModule = !worklet ? Promise.resolve(false) : worklet.addModule(url).then(
+        () => {
+          paintReady = true;
+          return true;
+        },
+        (error) => {
+          console.warn('Failed to load the squircle paint worklet, falling back to clip-path:', error);
+          return false;
         }
-      `;
+      );
+    }
+    return paintModule;
+  }
 
-      // Ensure element has position relative for ::before positioning
-      if (getComputedStyle(element).position === 'static') {
-        element.style.position = 'relative';
+  // 'paint' falls back to 'clip' while the worklet isn't available. Capsules
+  // and offsets depend on the element size, which only 'clip' knows.
+  function getMode(options) {
+    const mode = options?.mode ?? defaults.mode;
+    if (options?.capsule || options?.offset) return 'clip';
+    return mode === 'paint' && !paintReady ? 'clip' : mode;
+  }
+
+  // Custom properties read by the worklet (topLeftCornerRadiusY -> --squircle-top-left-radius-y)
+  function getPaintDeclarations(shape) {
+    const kebab = (name) => name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+    const declarations = {
+      '--squircle-radius': `${shape.cornerRadius ?? 0}`,
+      '--squircle-smoothing': `${shape.cornerSmoothing}`,
+      '--squircle-preserve-smoothing': shape.preserveSmoothing ? '1' : '0'
+    };
+    if (shape.cornerRadiusY != null) declarations['--squircle-radius-y'] = `${shape.cornerRadiusY}`;
+    if (shape.cornerShape) declarations['--squircle-shape'] = shape.cornerShape;
+    for (const corner of CORNERS) {
+      for (const key of ['Radius', 'RadiusY', 'Smoothing', 'Shape']) {
+        const value = shape[`${corner}Corner${key}`];
+        if (value != null) declarations[`--squircle-${kebab(corner)}${kebab(key)}`] = `${value}`;
       }
+    }
+    declarations['-webkit-mask-image'] = 'paint(squircle)';
+    declarations['mask-image'] = 'paint(squircle)';
+    return declarations;
+  }
+
+  // ---- border layer ----
+  // The border is stroked along the squircle in a separate absolutely positioned
+  // <span> covering the border box (the inner layer), so the element's own
+  // background, content and ::before/::after stay untouched. Like a CSS border
+  // or inset shadow, the layer paints above the background and below the
+  // content: z-index -1 inside the element, isolated as a stacking context. The
+  // element's outer clip cuts the stroke to the shape.
+
+  const capitalize = (word) => word[0].toUpperCase() + word.slice(1);
+
+  // Per-side { width, color, style } from borderWidth/borderColor/borderStyle
+  // and their borderTopWidth, borderRightColor, ... overrides
+  function getBorderSides(shape) {
+    const sides = {};
+    for (const side of SIDES) {
+      const key = `border${capitalize(side)}`;
+      sides[side] = {
+        width: shape[`${key}Width`] ?? shape.borderWidth ?? 0,
+        color: shape[`${key}Color`] ?? shape.borderColor,
+        style: shape[`${key}Style`] ?? shape.borderStyle ?? 'solid'
+      };
+    }
+    return sides;
+  }
+
+  function isVisibleSide({ width, style }) {
+    return width > 0 && style !== 'none' && style !== 'hidden';
+  }
+
+  function hasBorder(shape) {
+    return Object.values(getBorderSides(shape)).some(isVisibleSide);
+  }
+
+  // Dash patterns in the spirit of the browsers' own dashed/dotted borders
+  const DASH_ATTRIBUTES = {
+    dashed: (width) => ` stroke-dasharray="${3 * width} ${3 * width}"`,
+    dotted: (width) => ` stroke-dasharray="0 ${2 * width}" stroke-linecap="round"`
+  };
+
+  // One stroke centred `inset` px inside the outline; side = null strokes all of it
+  function getStrokeMarkup(shape, side, inset, strokeWidth, color, attributes = '') {
+    const box = {
+      ...getInnerShape(shape, inset),
+      width: Math.max(0, shape.width - inset * 2),
+      height: Math.max(0, shape.height - inset * 2)
+    };
+    const path = side ? getSideSvgPath(box, side) : getSvgPath(box);
+    return `<path d="${path}" transform="translate(${inset} ${inset})" fill="none" ` +
+      `stroke="${color}" stroke-width="${strokeWidth}"${attributes}/>`;
+  }
+
+  // SVG markup of the border for a shape.width x shape.height box. Identical
+  // sides are stroked as one closed path so dashes run on around the corners.
+  function getBorderMarkup(shape) {
+    const sides = getBorderSides(shape);
+    const [first, ...others] = SIDES.map((side) => sides[side]);
+    const uniform = others.every(({ width, color, style }) =>
+      width === first.width && color === first.color && style === first.style);
+    const strokes = uniform ? [[null, first]] : SIDES.map((side) => [side, sides[side]]);
+
+    return strokes
+      .filter(([, border]) => isVisibleSide(border))
+      .map(([side, { width, color, style }]) => {
+        if (style === 'double') {
+          return getStrokeMarkup(shape, side, width / 6, width / 3, color) +
+            getStrokeMarkup(shape, side, (width * 5) / 6, width / 3, color);
+        }
+        return getStrokeMarkup(shape, side, width / 2, width, color, DASH_ATTRIBUTES[style]?.(width));
+      })
+      .join('');
+  }
+
+  let warnedMaskBorderStyle = false;
+
+  // internal: image painting one straight side in mask mode, across its width
+  function getStripImage(side, { width, color, style }) {
+    if (style === 'double') {
+      const direction = side === 'top' || side === 'bottom' ? 'to bottom' : 'to right';
+      return `linear-gradient(${direction}, ${color} 0 ${width / 3}px, ` +
+        `transparent ${width / 3}px ${(width * 2) / 3}px, ${color} ${(width * 2) / 3}px)`;
+    }
+    if (style in DASH_ATTRIBUTES && !warnedMaskBorderStyle) {
+      warnedMaskBorderStyle = true;
+      console.warn(`${style} borders need the full outline; mask mode draws them solid.`);
+    }
+    return `linear-gradient(${color}, ${color})`;
+  }
+
+  // internal: background layers painting the border
+  function getBorderLayers(shape, mode) {
+    if (mode !== 'mask') {
+      const { width, height } = shape;
+      return [[`url("${toSvgDataUri(getBorderMarkup(shape), width, height)}")`, '0 0', '100% 100%']];
+    }
+
+    // Size-independent: corner crops of the border plus four straight strips
+    const sides = getBorderSides(shape);
+    const slices = getSliceWidths(shape);
+    for (const side of SIDES) slices[side] = Math.max(slices[side], sides[side].width);
+    const { top, right, bottom, left } = slices;
+
+    const layers = getCornerLayers(shape, slices, (box) => getBorderMarkup(box));
+    const strips = {
+      top: [`${left}px 0`, `calc(100% - ${left + right}px) ${sides.top.width}px`],
+      right: [`100% ${top}px`, `${sides.right.width}px calc(100% - ${top + bottom}px)`],
+      bottom: [`${left}px 100%`, `calc(100% - ${left + right}px) ${sides.bottom.width}px`],
+      left: [`0 ${top}px`, `${sides.left.width}px calc(100% - ${top + bottom}px)`]
+    };
+    for (const side of SIDES) {
+      if (isVisibleSide(sides[side])) {
+        layers.push([getStripImage(side, sides[side]), ...strips[side]]);
+      }
+    }
+    return layers;
+  }
+
+  // ---- shadows and outlines ----
+  // clip-path cuts away box-shadow and outline, so they are redrawn along the
+  // squircle: inset shadows in the inner layer below the border, outer shadows
+  // and the outline in a sibling <span> placed under the element (the outer layer).
+
+  // "rgba(0, 0, 0, 0.2) 0px 4px 12px 0px, 0 0 0 2px red inset" -> [{ x, y, blur, spread, color, inset }]
+  // Lengths are read as px, which is what computed box-shadow values use.
+  function parseBoxShadow(value, currentColor) {
+    if (!value || value === 'none') return [];
+    return value.split(/,(?![^(]*\))/).map((shadow) => {
+      const tokens = shadow.trim().split(/\s+(?![^(]*\))/);
+      const isLength = (token) => /^[-+]?[\d.]/.test(token);
+      const [x = 0, y = 0, blur = 0, spread = 0] = tokens.filter(isLength).map(parseFloat);
+      const color = tokens.find((token) => token !== 'inset' && !isLength(token));
+      return {
+        x, y, blur, spread,
+        color: !color || color.toLowerCase() === 'currentcolor' ? currentColor : color,
+        inset: tokens.includes('inset')
+      };
+    });
+  }
+
+  // internal: cache el's own box-shadow for shadow: true. It is read with the
+  // authored styles back in place, which writes and recalculates style, so
+  // batched renders do it before their frame (see createSquircleManager)
+  function readOwnShadow(el, shadow) {
+    if (shadow === true) {
+      SHADOW_MAP.set(el, withAuthoredStyles(el, () => getComputedStyle(el).boxShadow));
     } else {
-      // Simple clip-path mode
-      element.style.clipPath = `path("${svgPath}")`;
+      SHADOW_MAP.delete(el);
+    }
+  }
+
+  // shadow: true uses the element's own box-shadow, a string is parsed as a box-shadow value
+  function getShadows(el, shadow) {
+    if (!shadow) return [];
+    if (shadow === true && !SHADOW_MAP.has(el)) readOwnShadow(el, shadow);
+    const value = shadow === true ? SHADOW_MAP.get(el) : shadow;
+    return parseBoxShadow(value, getComputedStyle(el).color);
+  }
+
+  // The computed outline, or null while none is shown (e.g. not focused)
+  function getOutline(el) {
+    const computed = getComputedStyle(el);
+    const width = parseFloat(computed.outlineWidth) || 0;
+    if (!(width > 0) || computed.outlineStyle === 'none') return null;
+    return {
+      width,
+      color: computed.outlineColor,
+      style: computed.outlineStyle === 'auto' ? 'solid' : computed.outlineStyle,
+      offset: parseFloat(computed.outlineOffset) || 0
+    };
+  }
+
+  function blurFilter(id, blur, x, y, width, height) {
+    return `<filter id="${id}" filterUnits="userSpaceOnUse" x="${x}" y="${y}" width="${width}" height="${height}">` +
+      `<feGaussianBlur stdDeviation="${blur / 2}"/></filter>`;
+  }
+
+  // Inset shadows for a shape.width x shape.height box: a blurred frame around
+  // a hole shrunk by the spread and moved by the offset (first shadow on top)
+  function getInsetShadowMarkup(shape, shadows) {
+    const { width, height } = shape;
+    return shadows.map((shadow, i) => ({ shadow, i })).reverse().map(({ shadow, i }) => {
+      const { x, y, blur, spread, color } = shadow;
+      const hole = getOffsetShape(shape, -spread);
+      const bleed = Math.ceil(blur * 1.5 + Math.abs(x) + Math.abs(y) + Math.abs(spread)) + 1;
+      const area = `x="${-bleed}" y="${-bleed}" width="${width + bleed * 2}" height="${height + bleed * 2}"`;
+      return `<mask id="hole${i}" maskUnits="userSpaceOnUse" ${area}><rect ${area} fill="#fff"/>` +
+        `<path d="${getSvgPath(hole)}" transform="translate(${x + spread} ${y + spread})"/></mask>` +
+        (blur > 0 ? blurFilter(`blur${i}`, blur, -bleed, -bleed, width + bleed * 2, height + bleed * 2) : '') +
+        `<g${blur > 0 ? ` filter="url(#blur${i})"` : ''}><rect ${area} fill="${color}" mask="url(#hole${i})"/></g>`;
+    }).join('');
+  }
+
+  function getInsetLayers(shape, shadows) {
+    const inset = shadows.filter((shadow) => shadow.inset);
+    if (!inset.length) return [];
+    const markup = getInsetShadowMarkup(shape, inset);
+    return [[`url("${toSvgDataUri(markup, shape.width, shape.height)}")`, '0 0', '100% 100%']];
+  }
+
+  // Outer shadows for the element box placed `margin` px into the layer; like
+  // CSS, nothing is drawn beneath the element itself
+  function getOuterShadowMarkup(shape, shadows, margin) {
+    const width = shape.width + margin * 2;
+    const height = shape.height + margin * 2;
+    const area = `x="0" y="0" width="${width}" height="${height}"`;
+    const drawn = shadows.map((shadow, i) => ({ shadow, i })).reverse().map(({ shadow, i }) => {
+      const { x, y, blur, spread, color } = shadow;
+      const spreadShape = getOffsetShape(shape, spread);
+      if (spreadShape.width <= 0 || spreadShape.height <= 0) return '';
+      return (blur > 0 ? blurFilter(`blur${i}`, blur, 0, 0, width, height) : '') +
+        `<path d="${getSvgPath(spreadShape)}" transform="translate(${margin + x - spread} ${margin + y - spread})" ` +
+        `fill="${color}"${blur > 0 ? ` filter="url(#blur${i})"` : ''}/>`;
+    }).join('');
+
+    return `<mask id="cutout" maskUnits="userSpaceOnUse" ${area}><rect ${area} fill="#fff"/>` +
+      `<path d="${getSvgPath(shape)}" transform="translate(${margin} ${margin})"/></mask>` +
+      `<g mask="url(#cutout)">${drawn}</g>`;
+  }
+
+  // The outline is a uniform border drawn on the box grown by offset + width
+  function getOutlineMarkup(shape, { width, color, style, offset }, margin) {
+    const ring = getOffsetShape(shape, offset + width);
+    for (const side of SIDES) {
+      const key = `border${capitalize(side)}`;
+      Object.assign(ring, { [`${key}Width`]: width, [`${key}Color`]: color, [`${key}Style`]: style });
+    }
+    const shift = margin - offset - width;
+    return `<g transform="translate(${shift} ${shift})">${getBorderMarkup(ring)}</g>`;
+  }
+
+  // internal: create or update the inner layer inside el from background
+  // layers; it covers the box at measured.insets (see measureSquircle)
+  function upsertInnerLayer(el, layers, { insets, position, borderWidths }) {
+    if (!layers.length) {
+      removeLayer(LAYER_MAP, el);
+      restoreStyle(el, 'isolation');
+      return;
+    }
+
+    let layer = LAYER_MAP.get(el);
+    if (!layer) {
+      layer = document.createElement('span');
+      layer.setAttribute('aria-hidden', 'true');
+      layer.setAttribute('data-squircle-layer', 'inner');
+      LAYER_MAP.set(el, layer);
+    }
+    if (layer.parentNode !== el) el.appendChild(layer);
+
+    // Ensure element is positioning context, and the stacking context that
+    // keeps the layer between its background and its content
+    if (position === 'static') {
+      overrideStyle(el, 'position', 'relative');
+    }
+    overrideStyle(el, 'isolation', 'isolate');
+
+    // Absolute children are placed against the padding box; reach out over the border
+    const edge = (side) => `${insets[side] - borderWidths[side]}px`;
+    applyDeclarations(layer, {
+      position: 'absolute',
+      top: edge('top'),
+      right: edge('right'),
+      bottom: edge('bottom'),
+      left: edge('left'),
+      'z-index': '-1',
+      'pointer-events': 'none',
+      ...toLayerDeclarations('background', layers)
+    });
+  }
+
+  // internal: create or update the outer layer right before el, in its
+  // offsetParent's coordinates, around the box at measured.insets
+  function upsertOuterLayer(el, shape, shadows, outline, { insets, offset }) {
+    const outer = shadows.filter((shadow) => !shadow.inset);
+    if ((!outer.length && !outline) || !el.parentNode) {
+      removeLayer(OUTER_MAP, el);
+      untrackPlacement(el);
+      return;
+    }
+
+    let layer = OUTER_MAP.get(el);
+    if (!layer) {
+      layer = document.createElement('span');
+      layer.setAttribute('aria-hidden', 'true');
+      layer.setAttribute('data-squircle-layer', 'outer');
+      OUTER_MAP.set(el, layer);
+    }
+
+    // A positive offset draws the outline outside the element box
+    const margin = Math.ceil(Math.max(0, shape.offset ?? 0) + Math.max(
+      0,
+      ...outer.map(({ x, y, blur, spread }) => Math.max(Math.abs(x), Math.abs(y)) + Math.max(0, spread) + blur * 1.5),
+      outline ? outline.offset + outline.width : 0
+    ));
+    const width = shape.width + margin * 2;
+    const height = shape.height + margin * 2;
+    const markup = (outer.length ? getOuterShadowMarkup(shape, outer, margin) : '') +
+      (outline ? getOutlineMarkup(shape, outline, margin) : '');
+
+    const declarations = {
+      position: 'absolute',
+      width: `${width}px`,
+      height: `${height}px`,
+      'pointer-events': 'none',
+      ...toLayerDeclarations('background', [[`url("${toSvgDataUri(markup, width, height)}")`, '0 0', '100% 100%']])
+    };
+    PLACEMENT_MAP.set(el, { declarations, x: insets.left - margin, y: insets.top - margin });
+    placeOuterLayer(el, offset);
+    trackPlacement(el);
+  }
+
+  // ---- outer layer placement ----
+  // The outer layer is an absolutely positioned sibling of the element, so its
+  // containing block is the element's offsetParent and it is placed in its
+  // coordinates. Scroll containers between the two scroll the element but not
+  // the layer, so their scroll offsets are taken out and the layer is re-placed
+  // on scroll; they don't clip the layer though - give such a scroller a
+  // position to make it the containing block, and the layer scrolls and clips
+  // with the element natively.
+  // The layer is re-placed whenever the element may have moved without
+  // resizing: its parent resized (content above it grew, a centred layout
+  // re-centred), the window resized, something scrolled, or its parent's
+  // children changed (the element was reordered). Offsets of every placed
+  // element are read before any layer is moved.
+
+  const PLACEMENT_MAP = new WeakMap(); // HTMLElement -> { declarations, x, y } of its outer layer
+  const placedElements = new Map();  // HTMLElement -> parent element observed for it
+  let placementResizes = null;    // ResizeObserver on the parents
+  let placementMutations = null;  // MutationObserver on the parents' children
+  let placementFrame = 0;
+
+  // internal: where el's outer layer goes, [left, top] in el's offsetParent,
+  // less the scroll of the scroll containers in between
+  function getLayerOffset(el) {
+    let left = el.offsetLeft;
+    let top = el.offsetTop;
+    for (let node = el.parentElement; node && node !== el.offsetParent; node = node.parentElement) {
+      left -= node.scrollLeft;
+      top -= node.scrollTop;
+    }
+    return [left, top];
+  }
+
+  // internal: move el's outer layer next to el, at [left, top] (see getLayerOffset)
+  function placeOuterLayer(el, [left, top]) {
+    const layer = OUTER_MAP.get(el);
+    const placement = PLACEMENT_MAP.get(el);
+    if (!layer || !placement || !el.parentNode) return;
+    if (layer.nextSibling !== el) el.before(layer);
+    applyDeclarations(layer, {
+      ...placement.declarations,
+      left: `${left + placement.x}px`,
+      top: `${top + placement.y}px`
+    });
+  }
+
+  function schedulePlacement() {
+    if (placementFrame) return;
+    placementFrame = requestAnimationFrame(() => {
+      placementFrame = 0;
+      const offsets = [...placedElements.keys()].map((el) => [el, getLayerOffset(el)]);
+      for (const [el, offset] of offsets) {
+        placeOuterLayer(el, offset);
+        trackPlacement(el);
+      }
+    });
+  }
+
+  // Observes the parents of every placed element; a MutationObserver can't
+  // drop a single target, so it is rebuilt when the set changes
+  function observePlacements() {
+    placementResizes?.disconnect();
+    placementMutations?.disconnect();
+    if (!placedElements.size) {
+      window.removeEventListener('resize', schedulePlacement);
+      document.removeEventListener('scroll', schedulePlacement, true);
+      if (placementFrame) cancelAnimationFrame(placementFrame);
+      placementFrame = 0;
+      return;
+    }
+    placementResizes ??= new ResizeObserver(schedulePlacement);
+    placementMutations ??= new MutationObserver(schedulePlacement);
+    for (const parent of new Set(placedElements.values())) {
+      if (!parent) continue;
+      placementResizes.observe(parent);
+      placementMutations.observe(parent, { childList: true });
+    }
+    window.addEventListener('resize', schedulePlacement);
+    // Scroll events don't bubble; capturing sees every scroll container's
+    document.addEventListener('scroll', schedulePlacement, { capture: true, passive: true });
+  }
+
+  // Starts, or follows a new parent after a move
+  function trackPlacement(el) {
+    if (placedElements.has(el) && placedElements.get(el) === el.parentElement) return;
+    placedElements.set(el, el.parentElement);
+    observePlacements();
+  }
+
+  function untrackPlacement(el) {
+    PLACEMENT_MAP.delete(el);
+    if (placedElements.delete(el)) observePlacements();
+  }
+
+  function removeLayer(map, el) {
+    const layer = map.get(el);
+    if (layer) {
+      layer.remove();
+      map.delete(el);
+    }
+  }
+
+  /**
+   * Render a squircle on element, optionally in border mode
+   * options: { cornerRadius?: number, cornerSmoothing?: number, preserveSmoothing?: boolean, borderWidth?: number }
+   * Options left out take the configure() defaults; invalid ones warn or throw (see configure).
+   * Per-corner overrides: topLeftCornerRadius, topRightCornerRadius, bottomRightCornerRadius,
+   * bottomLeftCornerRadius and the matching *CornerSmoothing keys.
+   * cornerRadiusY?: number - vertical radius for elliptical corners, like `border-radius: 16px / 8px`;
+   *   per corner as topLeftCornerRadiusY, ... (default: the corner's cornerRadius)
+   * borderColor?: string - concrete CSS color of the border (default: the element's computed color)
+   * borderStyle?: 'solid' | 'dashed' | 'dotted' | 'double' | 'none'
+   * Per-side border overrides: borderTopWidth, borderRightColor, borderBottomStyle, ...
+   * fallback?: 'svg' | 'mask' | 'border-radius' | 'none' - used when clip-path: path() is unsupported (default 'svg')
+   * mode?: 'clip' | 'mask' | 'paint' - 'mask' renders a size-independent mask-image instead of
+   *   clip-path: path(), 'paint' uses mask-image: paint(squircle) (see registerSquirclePaint)
+   * shadow?: boolean | string - redraw box-shadow along the squircle; true uses the element's own box-shadow
+   * outline?: boolean - redraw the element's current outline (e.g. focus ring) along the squircle
+   * cornerShape?: 'round' | 'scoop' | 'bevel' | 'notch' (and per-corner topLeftCornerShape, ...)
+   * capsule?: boolean - fully round ends that keep their smoothing
+   * offset?: number - clip that many px outside the box (inside when negative);
+   *   capsule and offset always render in mode 'clip'
+   * box?: 'border-box' | 'padding-box' | 'content-box' - the box the squircle is drawn on
+   *   (default 'border-box'); sizes are fractional and ignore transforms and zoom
+   * pointerEvents?: 'shape' - the pointer ignores the element outside the outline (see isPointInSquircle)
+   */
+  function renderSquircle(element, options) {
+    // An explicit render re-reads the authored box-shadow
+    SHADOW_MAP.delete(element);
+    paintSquircle(element, options);
+  }
+
+  // internal: renderSquircle with an already known border-box [width, height]
+  // (measured when omitted). A render reads everything it needs first
+  // (measureSquircle) and then only writes (drawSquircle), so
+  // createSquircleManager can read a whole batch before writing any of it
+  function paintSquircle(element, rawOptions, size) {
+    drawSquircle(measureSquircle(element, rawOptions, size));
+  }
+
+  function measureSquircle(element, rawOptions, size) {
+    const options = resolveOptions(rawOptions);
+    const computed = getComputedStyle(element);
+    const shadows = getShadows(element, options.shadow);
+    const outline = options.outline ? getOutline(element) : null;
+    const hasOuterLayer = !!outline || shadows.some((shadow) => !shadow.inset);
+    return {
+      element,
+      options,
+      color: computed.color,
+      position: computed.position,
+      borderWidths: Object.fromEntries(SIDES.map((side) => [side, parseFloat(computed[`border${capitalize(side)}Width`]) || 0])),
+      shadows,
+      outline,
+      insets: getBoxInsets(element, options.box),
+      borderBox: size ?? getBorderBoxSize(element),
+      offset: hasOuterLayer ? getLayerOffset(element) : null,
+      clipPathPath: getMode(options) === 'clip' ? supportsClipPathPath() : null
+    };
+  }
+
+  function drawSquircle(measured) {
+    const { element, options, shadows, outline, insets, borderBox } = measured;
+    const mode = getMode(options);
+    let shape = { ...options };
+    const bordered = hasBorder(shape);
+    if (bordered && !shape.borderColor) {
+      shape.borderColor = measured.color;
+    }
+
+    if (options.pointerEvents === 'shape') trackPointer(element);
+    else untrackPointer(element);
+
+    // The native shadow is cut off by the clip; it's redrawn in the layers instead
+    const ownShadow = options.shadow ? { 'box-shadow': 'none' } : {};
+
+    if (mode === 'mask' || mode === 'paint') {
+      const shapeDeclarations = mode === 'paint' ? getPaintDeclarations(shape) : getMaskDeclarations(shape);
+      const origin = options.box === 'border-box' ? {} : { '-webkit-mask-origin': options.box, 'mask-origin': options.box };
+      applyDeclarations(element, { ...shapeDeclarations, ...origin, ...ownShadow });
+      // Only shadows and outlines depend on the size here
+      const box = { ...shape, ...getBoxSize(borderBox, insets) };
+      SHAPE_MAP.set(element, { shape: { ...box, x: insets.left, y: insets.top }, size: borderBox });
+      const sized = box.width > 0 && box.height > 0;
+      upsertInnerLayer(element, [
+        ...(bordered ? getBorderLayers(shape, 'mask') : []),
+        ...(sized ? getInsetLayers(box, shadows) : [])
+      ], measured);
+      upsertOuterLayer(element, box, sized ? shadows : [], sized ? outline : null, measured);
+      return;
     }
+
+    const fallback = measured.clipPathPath ? null : options.fallback;
+    if (fallback && !warnedFallback) {
+      warnedFallback = true;
+      console.warn(`clip-path: path() unsupported. Falling back to ${fallback}.`);
+    }
+    if (fallback === 'none') return;
+    if (fallback === 'border-radius') shape = withoutSmoothing(shape);
+
+    // The clip-path reference box is the border box; the squircle is drawn on
+    // options.box inside it
+    const { width, height } = getBoxSize(borderBox, insets);
+    if (width <= 0 || height <= 0) return;
+
+    // Outer path
+    const outerShape = { ...shape, width, height };
+    const placedShape = { ...outerShape, x: insets.left, y: insets.top };
+    SHAPE_MAP.set(element, { shape: placedShape, size: borderBox });
+    // Same command structure for every shape, so a CSS transition on clip-path
+    // can interpolate; compact, as it is rewritten on every resize
+    const outerPath = getSvgPath({ ...placedShape, interpolable: true, precision: 3, compact: true });
+    applyDeclarations(element, {
+      ...getClipDeclarations(element, 'outer', outerPath, outerShape, fallback, borderBox),
+      ...ownShadow
+    });
+
+    upsertInnerLayer(element, [
+      ...(bordered ? getBorderLayers(outerShape, mode) : []),
+      ...getInsetLayers(outerShape, shadows)
+    ], measured);
+    upsertOuterLayer(element, outerShape, shadows, outline, measured);
+  }
+
+  // ---- hit-testing ----
+  // clip-path also clips hit-testing, but masks (mask and paint modes, the
+  // mask/svg fallbacks) and wrappers don't. isPointInSquircle tests a point
+  // against the outline of the last render; pointerEvents: 'shape' uses it to
+  // make the element transparent to the pointer (pointer-events: none) while
+  // the pointer is over its box but outside the outline, so hover, cursor and
+  // clicks go to whatever is underneath. Events that still reach the element
+  // there (e.g. a touch starting outside the outline) are swallowed.
+
+  const HIT_PATHS = new WeakMap(); // outline shape -> Path2D
+  const POINTER_ELEMENTS = new Set();
+  const SWALLOWED_EVENTS = ['pointerdown', 'pointerup', 'mousedown', 'mouseup', 'click', 'dblclick', 'contextmenu'];
+  let hitContext;
+
+  function isInRect(rect, x, y) {
+    return x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom;
+  }
+
+  // 2D context for isPointInPath, null where there is no canvas (e.g. jsdom)
+  function getHitContext() {
+    if (hitContext === undefined) {
+      try {
+        const canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(1, 1) : document.createElement('canvas');
+        hitContext = canvas.getContext('2d') ?? null;
+      } catch {
+        hitContext = null;
+      }
+    }
+    return hitContext;
   }
 
   /**
-   * Creates a ResizeObserver that automatically updates the squircle when the element resizes
+   * Whether the viewport point (x, y), e.g. event.clientX/clientY, lies inside
+   * the squircle rendered on element. Scaling transforms and zoom are
+   * accounted for, rotations are not. Elements without a squircle, and engines without canvas
+   * Path2D support, are tested against their border box.
+   */
+  function isPointInSquircle(element, x, y) {
+    const rect = element.getBoundingClientRect();
+    const rendered = SHAPE_MAP.get(element);
+    const context = rendered && typeof Path2D !== 'undefined' ? getHitContext() : null;
+    if (!context || !rect.width || !rect.height) return isInRect(rect, x, y);
+
+    // The shape is drawn in the untransformed border box
+    const { shape, size: [width, height] } = rendered;
+    if (!HIT_PATHS.has(shape)) HIT_PATHS.set(shape, getPath2D(shape));
+    const localX = ((x - rect.left) * width) / rect.width;
+    const localY = ((y - rect.top) * height) / rect.height;
+    return context.isPointInPath(HIT_PATHS.get(shape), localX, localY);
+  }
+
+  function onPointerMove(event) {
+    const { clientX: x, clientY: y } = event;
+    for (const element of POINTER_ELEMENTS) {
+      if (isInRect(element.getBoundingClientRect(), x, y) && !isPointInSquircle(element, x, y)) {
+        overrideStyle(element, 'pointer-events', 'none');
+      } else {
+        restoreStyle(element, 'pointer-events');
+      }
+    }
+  }
+
+  function onPointerEvent(event) {
+    for (const element of POINTER_ELEMENTS) {
+      if (element.contains(event.target) && !isPointInSquircle(element, event.clientX, event.clientY)) {
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+      }
+    }
+  }
+
+  // internal: start limiting pointer events of element to its outline
+  function trackPointer(element) {
+    if (POINTER_ELEMENTS.has(element)) return;
+    if (!POINTER_ELEMENTS.size) {
+      window.addEventListener('pointermove', onPointerMove, { capture: true, passive: true });
+      for (const type of SWALLOWED_EVENTS) window.addEventListener(type, onPointerEvent, true);
+    }
+    POINTER_ELEMENTS.add(element);
+  }
+
+  // internal: stop limiting pointer events of element, restoring its pointer-events
+  function untrackPointer(element) {
+    if (!POINTER_ELEMENTS.delete(element)) return;
+    restoreStyle(element, 'pointer-events');
+    if (!POINTER_ELEMENTS.size) {
+      window.removeEventListener('pointermove', onPointerMove, { capture: true });
+      for (const type of SWALLOWED_EVENTS) window.removeEventListener(type, onPointerEvent, true);
+    }
+  }
+
+  // ---- animation ----
+  // animateSquircle interpolates the numeric options (radius, smoothing, border
+  // widths, ...) and renders every frame. When the element has a CSS transition
+  // on its clip-path and no timing is given, `from` is shown with transitions
+  // off, then the end state is rendered once and the browser interpolates, which
+  // works because rendered paths always share one command structure.
+
+  const ANIMATION_MAP = new WeakMap(); // HTMLElement -> running animation handle
+
+  const EASINGS = {
+    linear: [0, 0, 1, 1],
+    ease: [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1]
+  };
+
+  // CSS easing keyword or cubic-bezier(...) (unsupported ones fall back to ease), or a function
+  function toEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    const match = /cubic-bezier\(([^)]+)\)/.exec(easing || '');
+    const [x1, y1, x2, y2] = match ? match[1].split(',').map(parseFloat) : EASINGS[easing] ?? EASINGS.ease;
+    const bezier = (p1, p2, t) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+
+    return (progress) => {
+      if (progress <= 0 || progress >= 1) return progress;
+      // Bisect the curve parameter whose x is the progress
+      let low = 0;
+      let high = 1;
+      let t = progress;
+      for (let i = 0; i < 32; i++) {
+        t = (low + high) / 2;
+        if (bezier(x1, x2, t) < progress) low = t;
+        else high = t;
+      }
+      return bezier(y1, y2, t);
+    };
+  }
+
+  // The element's CSS transition of its clip as { duration, delay, easing } (ms), or null
+  function getCssTransition(el) {
+    const computed = getComputedStyle(el);
+    const split = (value) => (value || '').split(/,(?![^(]*\))/).map((part) => part.trim());
+    const index = split(computed.transitionProperty).findIndex((property) => property === 'clip-path' || property === 'all');
+    if (index < 0) return null;
+
+    // Shorter lists repeat, as in CSS
+    const pick = (value) => {
+      const list = split(value);
+      return list[index % list.length];
+    };
+    const toMs = (time) => (parseFloat(time) || 0) * (/ms$/.test(time) ? 1 : 1000);
+    const duration = toMs(pick(computed.transitionDuration));
+    if (duration <= 0) return null;
+    return { duration, delay: toMs(pick(computed.transitionDelay)), easing: pick(computed.transitionTimingFunction) };
+  }
+
+  // Numbers present in both from and to are interpolated, everything else comes
+  // from to; overshooting easings are kept within the valid ranges
+  function interpolateOptions(from, to, progress) {
+    const options = { ...to };
+    for (const [key, value] of Object.entries(to)) {
+      if (typeof value === 'number' && typeof from[key] === 'number') {
+        const current = Math.max(0, from[key] + (value - from[key]) * progress);
+        options[key] = key.endsWith('Smoothing') ? Math.min(1, current) : current;
+      }
+    }
+    return options;
+  }
+
+  // internal: render options with the element's transitions off and flush
+  // them, so the next render transitions from there
+  function jumpTo(element, options) {
+    overrideStyle(element, 'transition', 'none');
+    paintSquircle(element, options);
+    getComputedStyle(element).clipPath;
+    restoreStyle(element, 'transition');
+  }
+
+  /**
+   * Animate element from one set of renderSquircle options to another.
+   * timing: { duration?: number (ms), easing?: string | (t) => number }
+   * Without timing, a CSS transition on clip-path (or all) is honoured; otherwise
+   * it defaults to 300ms ease. A running animation on element is cancelled, and
+   * a resize cancels the animation and jumps to `to`.
+   * returns { cancel(), finished: Promise<boolean> } - finished resolves true
+   * when the animation completes, false when it is cancelled
+   */
+  function animateSquircle(element, from, to, timing = {}) {
+    ANIMATION_MAP.get(element)?.cancel();
+
+    let frame = 0;
+    let timer = 0;
+    let observer = null;
+    let settle;
+    const finished = new Promise((resolve) => {
+      settle = resolve;
+    });
+
+    const stop = (completed) => {
+      if (ANIMATION_MAP.get(element) !== handle) return;
+      ANIMATION_MAP.delete(element);
+      cancelAnimationFrame(frame);
+      clearTimeout(timer);
+      observer?.disconnect();
+      settle(completed);
+    };
+    const handle = { cancel: () => stop(false), finished };
+    ANIMATION_MAP.set(element, handle);
+
+    const native = timing.duration == null && timing.easing == null && getMode(to) === 'clip' &&
+      supportsClipPathPath() ? getCssTransition(element) : null;
+    const size = getBorderBoxSize(element);
+
+    // A resize invalidates the animation; finish at the end state instead
+    observer = new ResizeObserver(() => {
+      const [width, height] = getBorderBoxSize(element);
+      if (width === size[0] && height === size[1]) return;
+      stop(false);
+      if (native) jumpTo(element, to);
+      else renderSquircle(element, to);
+    });
+    observer.observe(element, { box: 'border-box' });
+
+    if (native) {
+      // Show `from` without transitioning to it, then let the CSS transition
+      // run from there to `to`. The own box-shadow is read once up front:
+      // reading it puts the authored clip-path back, cancelling the transition
+      readOwnShadow(element, true);
+      jumpTo(element, from);
+      paintSquircle(element, to);
+      timer = setTimeout(() => stop(true), native.delay + native.duration);
+      return handle;
+    }
+
+    const css = timing.duration == null ? getCssTransition(element) : null;
+    const duration = timing.duration ?? css?.duration ?? 300;
+    const delay = timing.duration == null ? css?.delay ?? 0 : 0;
+    const easing = toEasing(timing.easing ?? css?.easing ?? 'ease');
+
+    renderSquircle(element, from);
+    let start = null;
+    const tick = (now) => {
+      start ??= now + delay;
+      const progress = duration > 0 ? Math.min(1, Math.max(0, (now - start) / duration)) : 1;
+      if (progress < 1) {
+        paintSquircle(element, interpolateOptions(from, to, easing(progress)), size);
+        frame = requestAnimationFrame(tick);
+      } else {
+        // The last frame renders `to` as given, not interpolated
+        renderSquircle(element, to);
+        stop(true);
+      }
+    };
+    frame = requestAnimationFrame(tick);
+    return handle;
+  }
+
+  /**
+   * Observe element and re-render on size changes (and on focus changes when
+   * options.outline is set)
+   * returns the ResizeObserver (call .disconnect() to stop)
    */
   function squircleObserver(element, options) {
-    // Initial render
+    // initial render
     renderSquircle(element, options);
 
-    // Create observer for resize updates
+    // Fractional border-box sizes straight from the entries, as in createSquircleManager
     const observer = new ResizeObserver((entries) => {
       for (const entry of entries) {
         if (entry.target === element) {
-          renderSquircle(element, options);
+          const box = entry.borderBoxSize?.[0];
+          paintSquircle(element, options, box ? [box.inlineSize, box.blockSize] : undefined);
         }
       }
     });
 
-    observer.observe(element);
+    if (observesSize(options)) observer.observe(element, { box: 'border-box' });
+
+    const stopFocus = options?.outline ? onFocusChange(element, () => renderSquircle(element, options)) : null;
+    const disconnect = observer.disconnect.bind(observer);
+    const unwatch = watch(element, () => observer.disconnect());
+    observer.disconnect = () => {
+      stopFocus?.();
+      unwatch();
+      disconnect();
+    };
     return observer;
   }
 
-  // Export to global
-  global.CornerSmoothing = { renderSquircle, squircleObserver };
+  // internal: register stop() to run on destroySquircle(el); returns the unregister
+  function watch(el, stop) {
+    let watchers = WATCHER_MAP.get(el);
+    if (!watchers) {
+      watchers = new Set();
+      WATCHER_MAP.set(el, watchers);
+    }
+    watchers.add(stop);
+    return () => watchers.delete(stop);
+  }
+
+  // mask and paint modes are size-independent unless shadows or outlines are
+  // redrawn, or pointerEvents: 'shape' hit-tests against the rendered size
+  function observesSize(options) {
+    return getMode(options) === 'clip' || !!options?.shadow || !!options?.outline ||
+      (options?.pointerEvents ?? defaults.pointerEvents) === 'shape';
+  }
+
+  // internal: call callback when focus moves in or out of element; returns the unsubscribe
+  function onFocusChange(element, callback) {
+    element.addEventListener('focusin', callback);
+    element.addEventListener('focusout', callback);
+    return () => {
+      element.removeEventListener('focusin', callback);
+      element.removeEventListener('focusout', callback);
+    };
+  }
+
+  /**
+   * Manage many squircles with a single ResizeObserver. Sizes are taken from the
+   * observer entries instead of re-reading layout, and renders are batched into
+   * one animation frame.
+   * returns {
+   *   add(element, options)     - start rendering element (same options as renderSquircle)
+   *   update(element, options?) - re-render, optionally with new options, re-reading authored styles
+   *   remove(element)           - stop and remove everything rendered on element
+   *   disconnect()              - remove all elements
+   * }
+   */
+  function createSquircleManager() {
+    const elements = new Map();   // HTMLElement -> { options, stopFocus, unwatch }
+    const pending = new Map();    // HTMLElement -> border-box [width, height], undefined to measure
+    let frame = 0;
+
+    const flush = () => {
+      frame = 0;
+      const batch = [...pending].filter(([element]) => elements.has(element));
+      pending.clear();
+      // Every read of the batch before any write
+      batch
+        .map(([element, size]) => measureSquircle(element, elements.get(element).options, size))
+        .forEach(drawSquircle);
+    };
+
+    const schedule = (element, size) => {
+      pending.set(element, size ?? pending.get(element));
+      if (!frame) frame = requestAnimationFrame(flush);
+    };
+
+    // Resizes reuse the authored box-shadow read earlier; anything else re-reads
+    // it now, so the batch only reads the cached value
+    const refresh = (element) => {
+      readOwnShadow(element, resolveOptions(elements.get(element).options).shadow);
+      schedule(element);
+    };
+
+    // Observed in border-box, which is the clip-path reference box; inline/block
+    // sizes map to width/height in horizontal writing modes
+    const observer = new ResizeObserver((records) => {
+      for (const record of records) {
+        const box = record.borderBoxSize?.[0];
+        schedule(record.target, box ? [box.inlineSize, box.blockSize] : undefined);
+      }
+    });
+
+    const track = (element, entry) => {
+      entry.stopFocus?.();
+      entry.stopFocus = entry.options?.outline ? onFocusChange(element, () => refresh(element)) : null;
+      if (observesSize(entry.options)) {
+        observer.observe(element, { box: 'border-box' });
+      } else {
+        observer.unobserve(element);
+      }
+    };
+
+    const manager = {
+      add(element, options) {
+        if (elements.has(element)) {
+          manager.update(element, options);
+          return;
+        }
+        // Report invalid options now rather than in the next frame
+        resolveOptions(options);
+        const entry = { options, stopFocus: null, unwatch: watch(element, () => manager.remove(element)) };
+        elements.set(element, entry);
+        track(element, entry);
+        refresh(element);
+      },
+
+      update(element, options) {
+        const entry = elements.get(element);
+        if (!entry) return;
+        if (options) {
+          resolveOptions(options);
+          entry.options = options;
+          track(element, entry);
+        }
+        refresh(element);
+      },
+
+      remove(element) {
+        const entry = elements.get(element);
+        if (!entry) return;
+        entry.stopFocus?.();
+        entry.unwatch();
+        observer.unobserve(element);
+        elements.delete(element);
+        pending.delete(element);
+        releaseSquircle(element);
+      },
+
+      disconnect() {
+        [...elements.keys()].forEach(manager.remove);
+        observer.disconnect();
+        if (frame) cancelAnimationFrame(frame);
+        frame = 0;
+      }
+    };
+    return manager;
+  }
+
+  /**
+   * Remove everything renderSquircle added to element (layers, SVG clipPaths)
+   * and put back every inline style it overrode, exactly as authored
+   */
+  function releaseSquircle(element) {
+    untrackPointer(element);
+    removeLayer(LAYER_MAP, element);
+    removeLayer(OUTER_MAP, element);
+    untrackPlacement(element);
+    for (const clip of Object.values(CLIP_MAP.get(element) || {})) clip.remove();
+    restoreAllStyles(element);
+    CLIP_MAP.delete(element);
+    PROPS_MAP.delete(element);
+    SHADOW_MAP.delete(element);
+    SHAPE_MAP.delete(element);
+  }
+
+  /**
+   * Stop every squircleObserver/manager watching element and undo all of its
+   * changes (see releaseSquircle), leaving the element as it was before
+   */
+  function destroySquircle(element) {
+    for (const stop of [...(WATCHER_MAP.get(element) || [])]) stop();
+    WATCHER_MAP.delete(element);
+    releaseSquircle(element);
+  }
+
+  // Shallow comparison, so bindings can skip re-renders for equal option objects
+  function sameOptions(a, b) {
+    const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    return [...keys].every((key) => a?.[key] === b?.[key]);
+  }
+
+  /**
+   * Keep element rendered with options until destroy(). update(options) only
+   * re-renders when an option actually changed. The framework bindings are
+   * built on this.
+   * returns { update(options), destroy() }
+   */
+  function bindSquircle(element, options) {
+    let current = { ...options };
+    let observer = squircleObserver(element, current);
+
+    return {
+      update(next) {
+        if (sameOptions(current, next)) return;
+        observer.disconnect();
+        current = { ...next };
+        observer = squircleObserver(element, current);
+      },
+      destroy() {
+        observer.disconnect();
+        destroySquircle(element);
+      }
+    };
+  }
+
+  // Corner Smoothing Vanilla - ESM Build
+  // Public API; the implementation is shared with the init helper through
+  // corner-smoothing-core.esm.js
+
+  global.CornerSmoothing = { configure, renderSquircle, squircleObserver, createSquircleManager, destroySquircle, animateSquircle, registerSquirclePaint, bindSquircle, isPointInSquircle, getSvgPath, getSvgDocument, getPath2D, getClipPathCss, getMaskCss, getSquircleCss };
 
-})(typeof window !== 'undefined' ? window : this);
\ No newline at end of file
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,34 @@
+// Corner Smoothing Vue - ESM Build
+// v-squircle directive on top of bindSquircle:
+//
+//   app.use(CornerSmoothingVue);
+//   <div v-squircle="{ cornerRadius: 24, cornerSmoothing: 0.6 }"></div>
+
+import { bindSquircle } from './corner-smoothing-vanilla.esm.js';
+
+const bindings = new WeakMap();
+
+/**
+ * Directive; the binding value holds the renderSquircle options
+ */
+export const vSquircle = {
+  mounted(el, binding) {
+    bindings.set(el, bindSquircle(el, binding.value));
+  },
+  updated(el, binding) {
+    bindings.get(el)?.update(binding.value);
+  },
+  beforeUnmount(el) {
+    bindings.get(el)?.destroy();
+    bindings.delete(el);
+  }
+};
+
+/**
+ * Plugin registering v-squircle globally
+ */
+export const CornerSmoothingVue = {
+  install(app) {
+    app.directive('squircle', vSquircle);
+  }
+};
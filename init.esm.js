@@ -1,218 +1,530 @@
 // Corner Smoothing Init Helper - ESM Build
-// Auto-initialization with data attributes
+// Auto-initialization with data attributes; an empty data-corner-smoothing or a
+// missing data-corner-radius leaves the value to the --corner-smoothing /
+// --corner-radius custom properties. observeStyles also smooths the elements
+// matched by stylesheet rules declaring corner-smoothing, or by a selector map.
+// Radii take any CSS length, percentage or elliptical border-radius value.
+
+import {
+  CORNERS,
+  SIDES,
+  configure,
+  createSquircleManager,
+  getBorderBoxSize,
+  overrideStyle,
+  registerSquirclePaint,
+  restoreStyle,
+  withAuthoredStyles
+} from './corner-smoothing-core.esm.js';
 
-// Figma-squircle implementation
-function getSvgPath({ width, height, cornerRadius, cornerSmoothing, preserveSmoothing = true }) {
-  const r = Math.min(cornerRadius, width / 2, height / 2);
-  const smoothing = cornerSmoothing;
+// Init Helper Implementation
+const elementObservers = new WeakMap();
+
+// One ResizeObserver and one render frame shared by every initialized element
+let manager = null;
+function getManager() {
+  manager ??= createSquircleManager();
+  return manager;
+}
+
+/**
+ * Parses a CSS color value and returns whether it's transparent
+ */
+function isTransparentColor(color) {
+  if (!color || color === 'transparent' || color === 'rgba(0, 0, 0, 0)') {
+    return true;
+  }
   
-  // Calculate control points for smooth curves
-  const cp = r * (1 - smoothing * 0.552284749831);
-  const cpSmooth = r * smoothing * 0.552284749831;
+  // Check for rgba with 0 alpha
+  const rgbaMatch = color.match(/rgba?\(([^)]+)\)/i);
+  if (rgbaMatch) {
+    const values = rgbaMatch[1].split(',').map(v => v.trim());
+    if (values.length === 4 && parseFloat(values[3]) === 0) {
+      return true;
+    }
+  }
   
-  // Generate SVG path with smooth corners
-  return `M ${r},0 
-          L ${width - r},0 
-          C ${width - cp},0 ${width},${cp} ${width},${r}
-          L ${width},${height - r} 
-          C ${width},${height - cp} ${width - cp},${height} ${width - r},${height}
-          L ${r},${height} 
-          C ${cp},${height} 0,${height - cp} 0,${height - r}
-          L 0,${r} 
-          C 0,${cp} ${cp},0 ${r},0 Z`;
-}
-
-// Global counter for unique class names
-let squircleCounter = 0;
-
-/**
- * Renders a squircle shape on an element using clip-path or border mode
- */
-function renderSquircle(element, options) {
-  const {
-    cornerRadius,
-    cornerSmoothing,
-    preserveSmoothing = true,
-    borderWidth
-  } = options;
-
-  // Check if clip-path is supported
-  if (!CSS.supports('clip-path', 'path("")')) {
-    console.warn('clip-path with path() not supported, falling back to border-radius');
-    return;
+  return false;
+}
+
+// Border styles the border layer can draw; groove/ridge/inset/outset are drawn solid
+const BORDER_STYLES = ['solid', 'dashed', 'dotted', 'double'];
+
+/**
+ * Extracts per-side border information from computed styles
+ */
+function getBorderInfo(element) {
+  const computed = getComputedStyle(element);
+  const options = {};
+  let hasBorder = false;
+
+  for (const side of SIDES) {
+    const key = `border${side[0].toUpperCase()}${side.slice(1)}`;
+    const width = parseFloat(computed[`${key}Width`]) || 0;
+    const color = computed[`${key}Color`];
+    const style = computed[`${key}Style`];
+    const visible = width > 0 &&
+                    style !== 'none' &&
+                    style !== 'hidden' &&
+                    !isTransparentColor(color);
+
+    options[`${key}Width`] = visible ? width : 0;
+    options[`${key}Color`] = color;
+    options[`${key}Style`] = BORDER_STYLES.includes(style) ? style : 'solid';
+    hasBorder = hasBorder || visible;
   }
 
-  const rect = element.getBoundingClientRect();
-  const width = rect.width;
-  const height = rect.height;
+  return { options, hasBorder };
+}
 
-  if (width <= 0 || height <= 0) {
-    return;
+const CORNER_RADIUS_PROPERTIES = {
+  topLeft: 'borderTopLeftRadius',
+  topRight: 'borderTopRightRadius',
+  bottomRight: 'borderBottomRightRadius',
+  bottomLeft: 'borderBottomLeftRadius'
+};
+
+// Radius of elements whose radius is declared nowhere and that have no CSS
+// border-radius, unless configure() sets a default cornerRadius
+const DEFAULT_RADIUS = 16;
+
+// ---- radius values ----
+// Radii are read like CSS border-radius values: any length unit, calc(),
+// var(), percentages of the border box (horizontal radii of its width,
+// vertical ones of its height) and elliptical radii - "16px / 8px", or the
+// whole shorthand ("8px 16px / 4px") for data-corner-radius and
+// --corner-radius. Elements with percentage radii are re-read when they resize.
+
+// Unitless numbers are px, as data-corner-radius="16" always was
+const PLAIN_LENGTH = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?(?:px)?$/i;
+
+/**
+ * Computed border-*-radius values of value, set as border-radius (or as the
+ * corner's longhand) on a hidden probe inside element, so em, var() and
+ * friends resolve as they would on the element itself. Percentages are kept.
+ * Returns null when value isn't a valid radius.
+ */
+function computeRadii(element, value, corner) {
+  const property = corner ? CORNER_RADIUS_PROPERTIES[corner] : 'borderRadius';
+  const probe = document.createElement('span');
+  probe.style.cssText = 'position:absolute;visibility:hidden;pointer-events:none';
+  probe.style[property] = corner ? value.replace('/', ' ') : value;
+  if (!probe.style[property]) {
+    return null;
   }
 
-  // Generate SVG path for the squircle
-  const svgPath = getSvgPath({
-    width,
-    height,
-    cornerRadius,
-    cornerSmoothing,
-    preserveSmoothing
-  });
+  element.appendChild(probe);
+  const computed = getComputedStyle(probe);
+  const values = {};
+  for (const key of corner ? [corner] : CORNERS) {
+    values[key] = computed[CORNER_RADIUS_PROPERTIES[key]];
+  }
+  probe.remove();
+  return values;
+}
 
-  if (borderWidth && borderWidth > 0) {
-    // Border mode: use ::before pseudo-element
-    const className = `squircle-${++squircleCounter}`;
-    element.classList.add(className);
-
-    // Create outer path (full size)
-    const outerPath = getSvgPath({
-      width,
-      height,
-      cornerRadius,
-      cornerSmoothing,
-      preserveSmoothing
-    });
+/**
+ * Resolves a computed <length-percentage> to px: px, a percentage of basis
+ * or a calc() sum of both ("calc(50% - 4px)")
+ */
+function resolveLength(value, basis) {
+  const terms = value.replace(/\s+([+-])\s+/g, ' $1').match(/[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?(?:px|%)?/gi) || [];
+  return terms.reduce((sum, term) => sum + (term.endsWith('%') ? (parseFloat(term) * basis) / 100 : parseFloat(term)), 0);
+}
 
-    // Create inner path (reduced by border width)
-    const innerWidth = Math.max(0, width - borderWidth * 2);
-    const innerHeight = Math.max(0, height - borderWidth * 2);
-    const innerRadius = Math.max(0, cornerRadius - borderWidth);
-    
-    const innerPath = getSvgPath({
-      width: innerWidth,
-      height: innerHeight,
-      cornerRadius: innerRadius,
-      cornerSmoothing,
-      preserveSmoothing
-    });
+/**
+ * Per-corner { x, y } radii in px of a radius value, or of the element's
+ * computed border radii when value is empty. corner limits value to one
+ * corner. Returns { radii, relative } - relative when a percentage depends
+ * on the element size - or null when value isn't a valid radius.
+ */
+function resolveRadii(element, value, corner) {
+  let values;
+  if (!value) {
+    const computed = getComputedStyle(element);
+    values = Object.fromEntries(CORNERS.map((key) => [key, computed[CORNER_RADIUS_PROPERTIES[key]]]));
+  } else if (PLAIN_LENGTH.test(value.trim())) {
+    values = Object.fromEntries((corner ? [corner] : CORNERS).map((key) => [key, `${parseFloat(value)}px`]));
+  } else {
+    values = computeRadii(element, value, corner);
+  }
+  if (!values) {
+    return null;
+  }
 
-    // Apply outer clip-path to the element
-    element.style.clipPath = `path("${outerPath}")`;
+  const relative = Object.values(values).some((computedValue) => computedValue.includes('%'));
+  const [width, height] = relative ? getBorderBoxSize(element) : [0, 0];
+  const radii = {};
+  for (const [key, computedValue] of Object.entries(values)) {
+    // "10px 20%": horizontal then vertical radius; split outside calc() parentheses
+    const [horizontal, vertical = horizontal] = computedValue.trim().split(/\s+(?![^(]*\))/);
+    radii[key] = {
+      x: Math.max(0, resolveLength(horizontal, width)),
+      y: Math.max(0, resolveLength(vertical, height))
+    };
+  }
+  return { radii, relative };
+}
+
+/**
+ * Radii of every corner: the declared radius value, else the authored
+ * border-radius when any corner is rounded, else the configured default
+ * cornerRadius (DEFAULT_RADIUS when there is none); then the
+ * data-top-left-corner-radius (etc.) attributes on top
+ */
+function getElementRadii(element, radiusValue) {
+  let resolved = radiusValue ? resolveRadii(element, radiusValue) : null;
+  if (!resolved) {
+    resolved = resolveRadii(element, '');
+    if (CORNERS.every((corner) => !resolved.radii[corner].x || !resolved.radii[corner].y)) {
+      const { cornerRadius = DEFAULT_RADIUS, cornerRadiusY = cornerRadius } = configure();
+      const radius = { x: cornerRadius, y: cornerRadiusY };
+      resolved = { radii: Object.fromEntries(CORNERS.map((corner) => [corner, radius])), relative: false };
+    }
+  }
 
-    // Create or update style for the ::before pseudo-element
-    let styleElement = document.getElementById(`squircle-style-${className}`);
-    if (!styleElement) {
-      styleElement = document.createElement('style');
-      styleElement.id = `squircle-style-${className}`;
-      document.head.appendChild(styleElement);
+  for (const corner of CORNERS) {
+    const radiusAttr = element.dataset[`${corner}CornerRadius`];
+    const cornerResolved = radiusAttr ? resolveRadii(element, radiusAttr, corner) : null;
+    if (cornerResolved) {
+      resolved.radii[corner] = cornerResolved.radii[corner];
+      resolved.relative ||= cornerResolved.relative;
     }
+  }
+  return resolved;
+}
 
-    const innerOffsetX = borderWidth;
-    const innerOffsetY = borderWidth;
-
-    styleElement.textContent = `
-      .${className}::before {
-        content: '';
-        position: absolute;
-        top: ${innerOffsetY}px;
-        left: ${innerOffsetX}px;
-        width: ${innerWidth}px;
-        height: ${innerHeight}px;
-        clip-path: path("${innerPath}");
-        background: var(--squircle-inner-bg, inherit);
-        pointer-events: none;
-      }
-    `;
+/**
+ * renderSquircle radius and smoothing options: cornerRadius(Y) from the top
+ * left corner, per-corner radius keys where a corner differs, and the
+ * data-top-left-corner-smoothing (etc.) overrides
+ */
+function getCornerOptions(element, radii) {
+  const { x, y } = radii.topLeft;
+  const options = { cornerRadius: x };
+  if (y !== x) {
+    options.cornerRadiusY = y;
+  }
 
-    // Ensure element has position relative for ::before positioning
-    if (getComputedStyle(element).position === 'static') {
-      element.style.position = 'relative';
+  for (const corner of CORNERS) {
+    const radius = radii[corner];
+    if (radius.x !== x) {
+      options[`${corner}CornerRadius`] = radius.x;
+    }
+    if (radius.y !== (options.cornerRadiusY ?? radius.x)) {
+      options[`${corner}CornerRadiusY`] = radius.y;
+    }
+    // Validated by the render: out of range values are clamped, anything
+    // else warns and leaves the corner to cornerSmoothing
+    const smoothingAttr = element.dataset[`${corner}CornerSmoothing`];
+    if (smoothingAttr) {
+      const smoothing = parseFloat(smoothingAttr);
+      options[`${corner}CornerSmoothing`] = Number.isFinite(smoothing) ? smoothing : smoothingAttr;
     }
-  } else {
-    // Simple clip-path mode
-    element.style.clipPath = `path("${svgPath}")`;
   }
+
+  return options;
 }
 
+// Custom properties stylesheets can configure elements with, used when the
+// matching data attribute is empty or missing
+const CUSTOM_PROPERTIES = ['--corner-smoothing', '--corner-radius'];
+
 /**
- * Creates a ResizeObserver that automatically updates the squircle when the element resizes
+ * Reads the configuration custom properties of an element
  */
-function squircleObserver(element, options) {
-  // Initial render
-  renderSquircle(element, options);
+function getCustomProperties(element) {
+  const computed = getComputedStyle(element);
+  return CUSTOM_PROPERTIES.map((property) => computed.getPropertyValue(property).trim());
+}
+
+// ---- stylesheet rules ----
+// Rules declaring corner-smoothing (and optionally corner-radius) smooth the
+// elements they match like data attributes would:
+//
+//   .card { corner-smoothing: 0.6; corner-radius: 24px; }
+//
+// Browsers drop unknown declarations from the CSSOM, so the source text of
+// each stylesheet is read: <style> contents, and <link> stylesheets fetched
+// again (cross-origin ones need CORS). Enclosing @media and @supports
+// conditions are honoured. Smoothing and radius each come from the last
+// matching rule declaring them, regardless of specificity, and only rules
+// declaring corner-smoothing make an element smoothed. A data-corner-smoothing
+// attribute on the element wins over rules.
+
+// [{ selector, conditions: [{ type, condition }], smoothing, radius }] in source order
+let styleRules = [];
+// @media condition of a rule -> its MediaQueryList, listened to for changes
+const ruleMediaQueries = new Map();
+// Selector maps of the connected observeStyles calls, applied after the stylesheets
+const selectorMaps = [];
+// Stylesheet watcher shared by the connected observeStyles calls
+let styleWatcher = null;
+// Elements smoothed through a rule, re-checked when the rules change
+const styledElements = new Set();
+// href -> Promise of the stylesheet text
+const linkedSheetTexts = new Map();
+
+const CORNER_DECLARATION = /(?:^|;)\s*corner-(smoothing|radius)\s*:\s*([^;!]*)/g;
 
-  // Create observer for resize updates
-  const observer = new ResizeObserver((entries) => {
-    for (const entry of entries) {
-      if (entry.target === element) {
-        renderSquircle(element, options);
+/**
+ * Style rules of cssText declaring corner-smoothing or corner-radius, with
+ * their enclosing at-rule conditions
+ */
+function parseCornerRules(cssText) {
+  const rules = [];
+  const blocks = [];
+  let buffer = '';
+
+  for (const char of cssText.replace(/\/\*[\s\S]*?\*\//g, '')) {
+    if (char === '{') {
+      blocks.push({ prelude: buffer.trim(), body: '' });
+      buffer = '';
+    } else if (char === '}') {
+      const block = blocks.pop();
+      if (block && !block.prelude.startsWith('@')) {
+        const declared = {};
+        for (const [, name, value] of `${block.body};${buffer}`.matchAll(CORNER_DECLARATION)) {
+          declared[name] = value.trim();
+        }
+        if (declared.smoothing !== undefined || declared.radius !== undefined) {
+          const conditions = blocks
+            .map(({ prelude }) => /^@(media|supports)\s+(.*)$/.exec(prelude))
+            .filter(Boolean)
+            .map(([, type, condition]) => ({ type, condition }));
+          rules.push({ selector: block.prelude, conditions, ...declared });
+        }
       }
+      buffer = '';
+    } else if (char === ';') {
+      if (blocks.length) blocks[blocks.length - 1].body += `${buffer};`;
+      buffer = '';
+    } else {
+      buffer += char;
     }
-  });
+  }
+  return rules;
+}
 
-  observer.observe(element);
-  return observer;
+/**
+ * Source text of a stylesheet, or '' when it can't be read
+ */
+function getSheetText(sheet) {
+  const node = sheet.ownerNode;
+  if (node instanceof HTMLStyleElement) {
+    return Promise.resolve(node.textContent);
+  }
+  if (!sheet.href || typeof fetch === 'undefined') {
+    return Promise.resolve('');
+  }
+  if (!linkedSheetTexts.has(sheet.href)) {
+    linkedSheetTexts.set(sheet.href, fetch(sheet.href)
+      .then((response) => (response.ok ? response.text() : ''))
+      .catch((error) => {
+        console.warn(`Failed to read ${sheet.href} for corner-smoothing rules:`, error);
+        return '';
+      }));
+  }
+  return linkedSheetTexts.get(sheet.href);
 }
 
-// Init Helper Implementation
-const elementObservers = new WeakMap();
+// Selectors the engine rejects are skipped
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
 /**
- * Parses a CSS color value and returns whether it's transparent
+ * Re-reads the stylesheets and the selector map into styleRules
  */
-function isTransparentColor(color) {
-  if (!color || color === 'transparent' || color === 'rgba(0, 0, 0, 0)') {
-    return true;
+async function loadStyleRules() {
+  const texts = await Promise.all([...document.styleSheets].map(getSheetText));
+  // The last observeStyles call was disconnected meanwhile
+  if (!styleWatcher) {
+    return;
   }
-  
-  // Check for rgba with 0 alpha
-  const rgbaMatch = color.match(/rgba?\\(([^)]+)\\)/);
-  if (rgbaMatch) {
-    const values = rgbaMatch[1].split(',').map(v => v.trim());
-    if (values.length === 4 && parseFloat(values[3]) === 0) {
-      return true;
+  const mapped = selectorMaps.flatMap((map) => Object.entries(map)).map(([selector, { cornerSmoothing, cornerRadius }]) => ({
+    selector,
+    conditions: [],
+    smoothing: cornerSmoothing == null ? '' : `${cornerSmoothing}`,
+    radius: cornerRadius == null ? undefined : `${cornerRadius}`
+  }));
+  styleRules = [...texts.flatMap(parseCornerRules), ...mapped].filter(({ selector }) => isValidSelector(selector));
+  watchRuleMedia();
+}
+
+/**
+ * Listens to the @media conditions of styleRules, so their rules apply and
+ * unapply as the viewport crosses them; conditions no rule has any more are
+ * no longer listened to
+ */
+function watchRuleMedia() {
+  const conditions = new Set(styleRules
+    .flatMap(({ conditions }) => conditions)
+    .filter(({ type }) => type === 'media')
+    .map(({ condition }) => condition));
+
+  for (const [condition, query] of ruleMediaQueries) {
+    if (!conditions.has(condition)) {
+      query.removeEventListener?.('change', applyStyleRules);
+      ruleMediaQueries.delete(condition);
+    }
+  }
+  for (const condition of conditions) {
+    const query = ruleMediaQueries.has(condition) ? null : window.matchMedia?.(condition);
+    if (query) {
+      query.addEventListener?.('change', applyStyleRules);
+      ruleMediaQueries.set(condition, query);
     }
   }
-  
-  return false;
+}
+
+function conditionsMatch(conditions) {
+  return conditions.every(({ type, condition }) => (
+    type === 'media' ? window.matchMedia?.(condition).matches ?? true : CSS.supports?.(condition) ?? true
+  ));
 }
 
 /**
- * Extracts border information from computed styles
+ * { smoothing, radius } declared for element by the style rules, or null when
+ * no matching rule declares corner-smoothing
  */
-function getBorderInfo(element) {
-  const computed = getComputedStyle(element);
-  const borderWidth = parseFloat(computed.borderTopWidth) || 0;
-  const borderColor = computed.borderTopColor;
-  const borderStyle = computed.borderTopStyle;
-  
-  const hasSolidBorder = borderWidth > 0 && 
-                        borderStyle !== 'none' && 
-                        !isTransparentColor(borderColor);
-  
-  return {
-    width: hasSolidBorder ? borderWidth : 0,
-    color: borderColor,
-    hasSolidBorder
-  };
+function getRuleValues(element) {
+  const values = {};
+  for (let i = styleRules.length - 1; i >= 0; i--) {
+    const { selector, conditions, smoothing, radius } = styleRules[i];
+    if (element.matches(selector) && conditionsMatch(conditions)) {
+      values.smoothing ??= smoothing;
+      values.radius ??= radius;
+    }
+  }
+  return values.smoothing === undefined ? null : values;
 }
 
 /**
- * Extracts background information from computed styles
+ * Selector of every element that may be smoothed
  */
-function getBackgroundInfo(element) {
-  const computed = getComputedStyle(element);
-  const backgroundColor = computed.backgroundColor;
-  const backgroundImage = computed.backgroundImage;
-  
-  const hasGradient = backgroundImage && backgroundImage !== 'none';
-  const hasSolidBackground = !isTransparentColor(backgroundColor);
-  
-  let innerBackground = '';
-  if (hasGradient) {
-    // Use the full background shorthand to preserve gradients
-    innerBackground = computed.background;
-  } else if (hasSolidBackground) {
-    innerBackground = backgroundColor;
+function getSmoothedSelector() {
+  return ['[data-corner-smoothing]', ...new Set(styleRules.map(({ selector }) => selector))].join(', ');
+}
+
+/**
+ * Smoothing and radius values declared for an element, by its data attributes
+ * or else a matching style rule; empty values are left to the custom
+ * properties. null when nothing declares corner smoothing.
+ */
+function getDeclaredValues(element) {
+  if (element.hasAttribute('data-corner-smoothing')) {
+    return {
+      smoothing: element.getAttribute('data-corner-smoothing'),
+      radius: element.getAttribute('data-corner-radius')
+    };
+  }
+  const values = getRuleValues(element);
+  if (!values) {
+    return null;
   }
-  
   return {
-    inner: innerBackground,
-    hasGradient,
-    hasSolidBackground
+    smoothing: values.smoothing,
+    radius: element.getAttribute('data-corner-radius') || values.radius
   };
 }
 
+/**
+ * Reads the options of an element from its data attributes or style rules,
+ * the --corner-smoothing / --corner-radius custom properties and its authored
+ * styles (the inline overrides of a previous render are ignored).
+ * Returns { options, relative } - relative when a percentage radius depends
+ * on the element size - or null when nothing declares corner smoothing for it.
+ */
+function getOptions(element) {
+  const declared = getDeclaredValues(element);
+  if (!declared) {
+    return null;
+  }
+
+  return withAuthoredStyles(element, () => {
+    const [smoothingProperty, radiusProperty] = getCustomProperties(element);
+    const cornerSmoothingValue = declared.smoothing || smoothingProperty;
+    const cornerRadiusValue = declared.radius || radiusProperty;
+
+    // Parse corner smoothing (0-1); 0 is a valid value, unset leaves the configure() default
+    const parsedSmoothing = parseFloat(cornerSmoothingValue);
+    const cornerSmoothing = Number.isFinite(parsedSmoothing) ? Math.max(0, Math.min(1, parsedSmoothing)) : undefined;
+
+    // Resolve or derive the corner radii; an explicit 0 is kept
+    const { radii, relative } = getElementRadii(element, cornerRadiusValue);
+
+    // Check for border mode
+    const borderInfo = getBorderInfo(element);
+
+    const options = {
+      ...(cornerSmoothing !== undefined && { cornerSmoothing }),
+      ...getCornerOptions(element, radii)
+    };
+
+    // Fallback strategy for engines without clip-path: path()
+    if (element.dataset.cornerFallback) {
+      options.fallback = element.dataset.cornerFallback;
+    }
+
+    // Size-independent mask rendering (data-corner-mode="mask")
+    if (element.dataset.cornerMode) {
+      options.mode = element.dataset.cornerMode;
+    }
+
+    // Box the squircle is drawn on (data-corner-box="padding-box")
+    if (element.dataset.cornerBox) {
+      options.box = element.dataset.cornerBox;
+    }
+
+    // Redraw box-shadow and the focus outline along the squircle
+    if (getComputedStyle(element).boxShadow !== 'none') {
+      options.shadow = true;
+    }
+    if (showsOutline(element)) {
+      options.outline = true;
+    }
+
+    // Handle border mode
+    if (borderInfo.hasBorder) {
+      Object.assign(options, borderInfo.options);
+    }
+
+    return { options, relative };
+  });
+}
+
+/**
+ * Whether the outline is redrawn along the squircle: data-corner-outline
+ * ("false" opts out), else when the element can be focused or has an outline
+ * already. Redrawing it listens for focus and observes the size, which mask
+ * and paint modes otherwise do without.
+ */
+function showsOutline(element) {
+  const attribute = element.dataset.cornerOutline;
+  if (attribute !== undefined) {
+    return attribute !== 'false';
+  }
+  return element.tabIndex >= 0 || element.isContentEditable === true ||
+    getComputedStyle(element).outlineStyle !== 'none';
+}
+
+/**
+ * Hides the square CSS border while the border layer draws it
+ */
+function applyBorderOverride(element, options) {
+  if (SIDES.some((side) => options[`border${side[0].toUpperCase()}${side.slice(1)}Width`] > 0)) {
+    overrideStyle(element, 'border-color', 'transparent');
+  } else {
+    restoreStyle(element, 'border-color');
+  }
+}
+
 /**
  * Initializes corner smoothing on a single element
  */
@@ -222,63 +534,166 @@ function initializeElement(element) {
     return;
   }
 
-  const cornerSmoothingAttr = element.getAttribute('data-corner-smoothing');
-  const cornerRadiusAttr = element.getAttribute('data-corner-radius');
-  
-  if (!cornerSmoothingAttr) {
+  const read = getOptions(element);
+  if (!read) {
     return;
   }
 
-  // Parse corner smoothing (0-1)
-  const cornerSmoothing = Math.max(0, Math.min(1, parseFloat(cornerSmoothingAttr) || 1));
-  
-  // Parse or derive corner radius
-  let cornerRadius;
-  if (cornerRadiusAttr) {
-    cornerRadius = parseFloat(cornerRadiusAttr) || 16;
+  // Hand the element to the shared manager
+  try {
+    applyBorderOverride(element, read.options);
+    getManager().add(element, read.options);
+    trackElement(element, read);
+  } catch (error) {
+    console.warn('Failed to initialize corner smoothing on element:', error);
+  }
+}
+
+/**
+ * Re-reads data attributes, style rules and authored styles of an element and
+ * re-renders it; initializes new elements and disconnects ones nothing
+ * declares corner smoothing for anymore
+ */
+function update(element) {
+  if (!elementObservers.has(element)) {
+    initializeElement(element);
+    return;
+  }
+
+  const read = getOptions(element);
+  if (!read) {
+    disconnect(element);
+    return;
+  }
+
+  applyBorderOverride(element, read.options);
+  getManager().update(element, read.options);
+  trackElement(element, read);
+}
+
+// Elements configured through custom properties, checked for changes on state changes
+const customPropertyElements = new Set();
+let customPropertyFrame = 0;
+// The prefers-color-scheme query listened to while watching, null otherwise
+let colorSchemeQuery = null;
+let watchingCustomProperties = false;
+
+// Elements with percentage radii, re-read when their border box resizes
+let radiusResizeObserver = null;
+
+function getSizeKey(element) {
+  return getBorderBoxSize(element).join('x');
+}
+
+function watchRadiusSize(element, relative) {
+  if (!relative) {
+    radiusResizeObserver?.unobserve(element);
+    return;
+  }
+  radiusResizeObserver ??= new ResizeObserver((entries) => {
+    entries.forEach(({ target }) => {
+      const data = elementObservers.get(target);
+      if (data && data.size !== getSizeKey(target)) {
+        update(target);
+      }
+    });
+  });
+  radiusResizeObserver.observe(element, { box: 'border-box' });
+}
+
+/**
+ * Records the options of an element, the custom properties they were read
+ * from when a data attribute left them to the stylesheet, and the size its
+ * percentage radii were resolved at
+ */
+function trackElement(element, { options, relative }) {
+  const declared = getDeclaredValues(element);
+  const usesCustomProperties = !declared?.smoothing || !declared?.radius;
+  elementObservers.set(element, {
+    options,
+    customProperties: usesCustomProperties ? getCustomProperties(element).join('|') : null,
+    size: relative ? getSizeKey(element) : null
+  });
+  watchRadiusSize(element, relative);
+
+  if (usesCustomProperties) {
+    customPropertyElements.add(element);
+    watchCustomProperties();
   } else {
-    const computed = getComputedStyle(element);
-    const borderRadius = parseFloat(computed.borderTopLeftRadius) || 16;
-    cornerRadius = borderRadius;
+    unwatchCustomProperties(element);
   }
 
-  // Check for border mode
-  const borderInfo = getBorderInfo(element);
-  const backgroundInfo = getBackgroundInfo(element);
-  
-  const options = {
-    cornerRadius,
-    cornerSmoothing,
-    preserveSmoothing: true
-  };
+  if (element.hasAttribute('data-corner-smoothing')) {
+    styledElements.delete(element);
+  } else {
+    styledElements.add(element);
+  }
+}
 
-  // Handle border mode
-  if (borderInfo.hasSolidBorder) {
-    options.borderWidth = borderInfo.width;
-    
-    // Set element background to border color
-    element.style.background = borderInfo.color;
-    
-    // Set CSS variable for inner background
-    if (backgroundInfo.inner) {
-      element.style.setProperty('--squircle-inner-bg', backgroundInfo.inner);
-    }
+/**
+ * Re-renders, once per frame, the elements whose custom properties changed
+ */
+function checkCustomProperties() {
+  if (customPropertyFrame) {
+    return;
+  }
+  customPropertyFrame = requestAnimationFrame(() => {
+    customPropertyFrame = 0;
+    customPropertyElements.forEach((element) => {
+      const data = elementObservers.get(element);
+      if (data && getCustomProperties(element).join('|') !== data.customProperties) {
+        update(element);
+      }
+    });
+  });
+}
+
+// Custom properties are not observable, so they are re-checked whenever a
+// :hover/:focus state, a transition/animation or a media query may have
+// changed them (class changes are reported by observe)
+const STATE_EVENTS = ['pointerover', 'pointerout', 'focusin', 'focusout', 'transitionend', 'animationend'];
+
+function watchCustomProperties() {
+  if (watchingCustomProperties) {
+    return;
   }
+  watchingCustomProperties = true;
 
-  // Create observer
-  try {
-    const observer = squircleObserver(element, options);
-    elementObservers.set(element, { observer, options });
-  } catch (error) {
-    console.warn('Failed to initialize corner smoothing on element:', error);
+  STATE_EVENTS.forEach((type) => {
+    document.addEventListener(type, checkCustomProperties, true);
+  });
+  window.addEventListener('resize', checkCustomProperties);
+  colorSchemeQuery = window.matchMedia?.('(prefers-color-scheme: dark)') ?? null;
+  colorSchemeQuery?.addEventListener?.('change', checkCustomProperties);
+}
+
+/**
+ * Stops checking element's custom properties, and removes the listeners
+ * once no element is left to check
+ */
+function unwatchCustomProperties(element) {
+  customPropertyElements.delete(element);
+  if (!watchingCustomProperties || customPropertyElements.size) {
+    return;
   }
+  watchingCustomProperties = false;
+
+  STATE_EVENTS.forEach((type) => {
+    document.removeEventListener(type, checkCustomProperties, true);
+  });
+  window.removeEventListener('resize', checkCustomProperties);
+  colorSchemeQuery?.removeEventListener?.('change', checkCustomProperties);
+  colorSchemeQuery = null;
+  cancelAnimationFrame(customPropertyFrame);
+  customPropertyFrame = 0;
 }
 
 /**
- * Scans for elements with data-corner-smoothing attribute and initializes them
+ * Scans for elements with data-corner-smoothing attribute (or matched by a
+ * style rule, see observeStyles) and initializes them
  */
 function scan(root = document) {
-  const elements = root.querySelectorAll('[data-corner-smoothing]');
+  const elements = root.querySelectorAll(getSmoothedSelector());
   elements.forEach((element) => {
     if (element instanceof HTMLElement) {
       initializeElement(element);
@@ -287,32 +702,209 @@ function scan(root = document) {
 }
 
 /**
- * Disconnects observer and cleans up for a specific element
+ * Stops smoothing an element and restores every inline style it changed,
+ * exactly as authored
  */
-function disconnect(element) {
-  const data = elementObservers.get(element);
-  if (data) {
-    data.observer.disconnect();
+function destroy(element) {
+  if (elementObservers.has(element)) {
     elementObservers.delete(element);
-    
-    // Clean up styles
-    element.style.clipPath = '';
-    element.style.removeProperty('--squircle-inner-bg');
-    
-    // Remove any generated squircle classes
-    const classes = Array.from(element.classList);
-    classes.forEach(className => {
-      if (className.startsWith('squircle-')) {
-        element.classList.remove(className);
-        
-        // Remove associated style element
-        const styleElement = document.getElementById(`squircle-style-${className}`);
-        if (styleElement) {
-          styleElement.remove();
+    unwatchCustomProperties(element);
+    styledElements.delete(element);
+    radiusResizeObserver?.unobserve(element);
+
+    // Stops observing, removes the squircle layers and restores every
+    // overridden style, including the hidden CSS border color
+    getManager().remove(element);
+  }
+}
+
+/**
+ * Disconnects observer and cleans up for a specific element (same as destroy)
+ */
+function disconnect(element) {
+  destroy(element);
+}
+
+// Attributes initializeElement reads options from
+const OPTION_ATTRIBUTES = [
+  'data-corner-smoothing',
+  'data-corner-radius',
+  'data-corner-fallback',
+  'data-corner-mode',
+  'data-corner-box',
+  'data-corner-outline',
+  ...CORNERS.flatMap((corner) => {
+    const name = corner.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+    return [`data-${name}-corner-radius`, `data-${name}-corner-smoothing`];
+  })
+];
+
+/**
+ * Returns node and its descendants that carry data-corner-smoothing or match a
+ * style rule
+ */
+function getSmoothedElements(node) {
+  if (!(node instanceof HTMLElement)) {
+    return [];
+  }
+  const selector = getSmoothedSelector();
+  const elements = [...node.querySelectorAll(selector)];
+  if (node.matches(selector)) {
+    elements.unshift(node);
+  }
+  return elements;
+}
+
+/**
+ * Scans root, then keeps watching it: added elements are initialized,
+ * removed ones disconnected and option attribute or class changes re-applied.
+ * Returns the MutationObserver (call .disconnect() to stop watching).
+ */
+function observe(root = document) {
+  scan(root);
+
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        if (mutation.target instanceof HTMLElement) {
+          update(mutation.target);
         }
+        // A class change anywhere (e.g. a theme on <html>) may change inherited custom properties
+        if (mutation.attributeName === 'class') {
+          checkCustomProperties();
+        }
+        continue;
       }
+
+      // Nodes moved within root show up as removed and added; keep those
+      mutation.removedNodes.forEach((node) => {
+        if (!node.isConnected) {
+          getSmoothedElements(node).forEach(disconnect);
+        }
+      });
+      // Nodes added and removed again within the batch (e.g. radius probes) are skipped
+      mutation.addedNodes.forEach((node) => {
+        if (node.isConnected) {
+          getSmoothedElements(node).forEach(initializeElement);
+        }
+      });
+    }
+  });
+
+  observer.observe(root, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    // class changes can switch the authored border, radius or shadow
+    attributeFilter: [...OPTION_ATTRIBUTES, 'class']
+  });
+  return observer;
+}
+
+// <style> and <link rel="stylesheet"> elements, whose rules may change
+function isStyleNode(node) {
+  return node instanceof HTMLStyleElement ||
+    (node instanceof HTMLLinkElement && /\bstylesheet\b/i.test(node.rel));
+}
+
+/**
+ * Re-reads the style rules, then re-checks the elements smoothed through them
+ * and initializes newly matched ones
+ */
+async function refreshStyles() {
+  await loadStyleRules();
+  applyStyleRules();
+}
+
+/**
+ * Re-checks the elements smoothed through the style rules and initializes
+ * newly matched ones
+ */
+function applyStyleRules() {
+  styledElements.forEach(update);
+  scan(document);
+}
+
+/**
+ * Starts watching the stylesheets: added, loaded or edited ones are read again
+ */
+function watchStyles() {
+  let pending = null;
+  const refresh = () => {
+    pending ??= Promise.resolve().then(() => {
+      pending = null;
+      return refreshStyles();
     });
-  }
+  };
+
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      const nodes = [mutation.target, ...mutation.addedNodes, ...mutation.removedNodes];
+      // Text edits inside a <style> are reported on its text nodes
+      if (nodes.some((node) => isStyleNode(node) || isStyleNode(node.parentNode))) {
+        refresh();
+      }
+    }
+  });
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: ['href', 'media', 'disabled']
+  });
+  // A <link> is only readable once it has loaded
+  const onLoad = (event) => {
+    if (isStyleNode(event.target)) refresh();
+  };
+  document.addEventListener('load', onLoad, true);
+
+  return {
+    refresh,
+    disconnect() {
+      observer.disconnect();
+      document.removeEventListener('load', onLoad, true);
+    }
+  };
+}
+
+/**
+ * Smooths the elements matched by stylesheet rules declaring corner-smoothing
+ * (see above) and by options.selectors, a map of selector to
+ * { cornerSmoothing, cornerRadius? }:
+ *
+ *   CornerSmoothingInit.observeStyles({ selectors: { '.card': { cornerSmoothing: 0.6 } } });
+ *
+ * Stylesheets added, loaded or edited later are read again. Use together with
+ * observe() to follow elements being added or changing class.
+ * Returns a handle whose disconnect() drops options.selectors; once every
+ * call is disconnected the stylesheets are no longer watched and the elements
+ * smoothed through rules are restored. Repeat calls share one watcher.
+ */
+function observeStyles({ selectors = {} } = {}) {
+  selectorMaps.push(selectors);
+  styleWatcher ??= watchStyles();
+  styleWatcher.refresh();
+
+  let connected = true;
+  return {
+    disconnect() {
+      if (!connected) {
+        return;
+      }
+      connected = false;
+      selectorMaps.splice(selectorMaps.indexOf(selectors), 1);
+      if (selectorMaps.length) {
+        styleWatcher.refresh();
+        return;
+      }
+      styleWatcher.disconnect();
+      styleWatcher = null;
+      styleRules = [];
+      watchRuleMedia();
+      styledElements.forEach(update);
+    }
+  };
 }
 
 /**
@@ -328,6 +920,13 @@ function onDOMReady(callback) {
 
 export const CornerSmoothingInit = {
   scan,
+  observe,
+  observeStyles,
+  update,
+  destroy,
   disconnect,
-  onDOMReady
+  onDOMReady,
+  configure,
+  // Needed for data-corner-mode="paint"; without it paint renders as clip
+  registerSquirclePaint
 };
\ No newline at end of file
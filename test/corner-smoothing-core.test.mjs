@@ -0,0 +1,80 @@
+// Tests of the option defaults and validation: npm test
+// configure() validates like every render does, without touching the DOM.
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { configure } from '../corner-smoothing-core.esm.js';
+
+const BUILT_IN = configure();
+
+afterEach(() => {
+  const reset = Object.fromEntries(Object.keys(configure()).map((key) => [key, undefined]));
+  configure({ ...reset, strict: false });
+});
+
+test('configure sets the defaults and keeps explicit zeros', () => {
+  assert.deepEqual(BUILT_IN, {
+    cornerSmoothing: 1,
+    preserveSmoothing: true,
+    mode: 'clip',
+    fallback: 'svg',
+    box: 'border-box',
+    strict: false
+  });
+  const defaults = configure({ cornerRadius: 0, cornerSmoothing: 0, mode: 'mask' });
+  assert.equal(defaults.cornerRadius, 0);
+  assert.equal(defaults.cornerSmoothing, 0);
+  assert.equal(defaults.mode, 'mask');
+});
+
+test('numbers out of range are clamped with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const defaults = configure({ cornerSmoothing: 1.5, topLeftCornerRadius: -4 });
+  assert.equal(defaults.cornerSmoothing, 1);
+  assert.equal(defaults.topLeftCornerRadius, 0);
+  assert.deepEqual(warn.mock.calls.map(({ arguments: [message] }) => message), [
+    'cornerSmoothing must be between 0 and 1, got 1.5; clamped to 1.',
+    'topLeftCornerRadius must be at least 0, got -4; clamped to 0.'
+  ]);
+});
+
+test('values of the wrong type or outside an enum are ignored with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const defaults = configure({ cornerRadius: '12px', mode: 'blur', capsule: 'yes', cornerSmoothing: NaN });
+  assert.equal(defaults.cornerRadius, undefined);
+  assert.equal(defaults.mode, 'clip');
+  assert.equal(defaults.capsule, undefined);
+  assert.equal(defaults.cornerSmoothing, 1);
+  assert.deepEqual(warn.mock.calls.map(({ arguments: [message] }) => message), [
+    'cornerRadius must be a finite number, got "12px"; ignored.',
+    'mode must be one of clip, mask, paint, got "blur"; ignored.',
+    'capsule must be a boolean, got "yes"; ignored.',
+    'cornerSmoothing must be a finite number, got NaN; ignored.'
+  ]);
+
+  // Each message is only shown once
+  configure({ mode: 'blur' });
+  assert.equal(warn.mock.callCount(), 4);
+});
+
+test('strict: true throws instead of warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.equal(configure({ strict: true }).strict, true);
+  assert.throws(() => configure({ cornerSmoothing: 2 }), {
+    name: 'RangeError',
+    message: 'cornerSmoothing must be between 0 and 1, got 2'
+  });
+  assert.throws(() => configure({ box: 'margin-box' }), RangeError);
+  assert.throws(() => configure({ offset: '4' }), TypeError);
+  assert.equal(warn.mock.callCount(), 0);
+  assert.equal(configure().cornerSmoothing, 1);
+});
+
+test('configure({ key: undefined }) resets the key', () => {
+  configure({ cornerSmoothing: 0.5, mode: 'mask', cornerRadius: 12, shadow: true });
+  const defaults = configure({ cornerSmoothing: undefined, mode: undefined, cornerRadius: undefined, shadow: undefined });
+  assert.equal(defaults.cornerSmoothing, 1);
+  assert.equal(defaults.mode, 'clip');
+  assert.ok(!('cornerRadius' in defaults));
+  assert.ok(!('shadow' in defaults));
+});
@@ -0,0 +1,315 @@
+// Tests of the path generator and its standalone exports: npm test
+// The reference paths were generated with figma-squircle 1.1.0, which
+// getSvgPath must match exactly when no serialization option is given.
+// preserveSmoothing defaults to true here and to false in figma-squircle,
+// so every reference case passes it except the one checking the default.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CORNERS,
+  getCornerRadii,
+  getOffsetShape,
+  getSvgPath,
+  getSvgDocument,
+  getPath2D,
+  getClipPathCss,
+  getMaskCss,
+  serializePath
+} from '../corner-smoothing-path.esm.js';
+
+const FIGMA_SQUIRCLE_CASES = [
+  {
+    name: 'uniform',
+    options: { width: 200, height: 120, cornerRadius: 24, cornerSmoothing: 0.6, preserveSmoothing: false },
+    path: 'M 161.6 0 c 13.4413 0 20.1619 0 25.2958 2.6158 a 24.0000 24.0000 0 0 1 10.4884 10.4884 c 2.6158 5.1339 2.6158 11.8545 2.6158 25.2958 L 200 81.6 c 0 13.4413 0 20.1619 -2.6158 25.2958 a 24.0000 24.0000 0 0 1 -10.4884 10.4884 c -5.1339 2.6158 -11.8545 2.6158 -25.2958 2.6158 L 38.400000000000006 120 c -13.4413 0 -20.1619 0 -25.2958 -2.6158 a 24.0000 24.0000 0 0 1 -10.4884 -10.4884 c -2.6158 -5.1339 -2.6158 -11.8545 -2.6158 -25.2958 L 0 38.400000000000006 c 0 -13.4413 0 -20.1619 2.6158 -25.2958 a 24.0000 24.0000 0 0 1 10.4884 -10.4884 c 5.1339 -2.6158 11.8545 -2.6158 25.2958 -2.6158 Z'
+  },
+  {
+    name: 'per-corner',
+    options: {
+      width: 300,
+      height: 200,
+      cornerRadius: 20,
+      cornerSmoothing: 0.8,
+      topLeftCornerRadius: 48,
+      topRightCornerRadius: 0,
+      bottomRightCornerRadius: 12,
+      preserveSmoothing: false
+    },
+    path: 'M 300 0 l 0.0000 0 L 300 178.4 c 0 8.9994 0 13.4990 -2.2918 16.6534 a 12.0000 12.0000 0 0 1 -2.6548 2.6548 c -3.1544 2.2918 -7.6541 2.2918 -16.6534 2.2918 L 36 200 c -14.9989 0 -22.4984 0 -27.7557 -3.8197 a 20.0000 20.0000 0 0 1 -4.4246 -4.4246 c -3.8197 -5.2573 -3.8197 -12.7568 -3.8197 -27.7557 L 0 86.4 c 0 -35.9974 0 -53.9961 9.1672 -66.6137 a 48.0000 48.0000 0 0 1 10.6191 -10.6191 c 12.6175 -9.1672 30.6163 -9.1672 66.6137 -9.1672 Z'
+  },
+  {
+    name: 'preserveSmoothing: true',
+    options: { width: 100, height: 80, cornerRadius: 36, cornerSmoothing: 1, preserveSmoothing: true },
+    path: 'M 60 0 c 3.1519 0 18.9117 0 29.4558 10.5442 a 36.0000 36.0000 0 0 1 0.0000 0.0000 c 10.5442 10.5442 10.5442 26.3039 10.5442 29.4558 L 100 40 c 0 3.1519 0 18.9117 -10.5442 29.4558 a 36.0000 36.0000 0 0 1 -0.0000 0.0000 c -10.5442 10.5442 -26.3039 10.5442 -29.4558 10.5442 L 40 80 c -3.1519 0 -18.9117 0 -29.4558 -10.5442 a 36.0000 36.0000 0 0 1 -0.0000 -0.0000 c -10.5442 -10.5442 -10.5442 -26.3039 -10.5442 -29.4558 L 0 40 c 0 -3.1519 0 -18.9117 10.5442 -29.4558 a 36.0000 36.0000 0 0 1 0.0000 -0.0000 c 10.5442 -10.5442 26.3039 -10.5442 29.4558 -10.5442 Z'
+  },
+  {
+    name: 'preserveSmoothing: false',
+    options: { width: 100, height: 80, cornerRadius: 36, cornerSmoothing: 1, preserveSmoothing: false },
+    path: 'M 60 0 c 3.7145 0 5.5718 0 7.1376 0.1370 a 36.0000 36.0000 0 0 1 32.7254 32.7254 c 0.1370 1.5658 0.1370 3.4231 0.1370 7.1376 L 100 40 c 0 3.7145 0 5.5718 -0.1370 7.1376 a 36.0000 36.0000 0 0 1 -32.7254 32.7254 c -1.5658 0.1370 -3.4231 0.1370 -7.1376 0.1370 L 40 80 c -3.7145 0 -5.5718 0 -7.1376 -0.1370 a 36.0000 36.0000 0 0 1 -32.7254 -32.7254 c -0.1370 -1.5658 -0.1370 -3.4231 -0.1370 -7.1376 L 0 40 c 0 -3.7145 0 -5.5718 0.1370 -7.1376 a 36.0000 36.0000 0 0 1 32.7254 -32.7254 c 1.5658 -0.1370 3.4231 -0.1370 7.1376 -0.1370 Z'
+  }
+];
+
+const OPTIONS = FIGMA_SQUIRCLE_CASES[0].options;
+
+// Differs between preserveSmoothing true and false
+const [, , PRESERVED] = FIGMA_SQUIRCLE_CASES;
+
+// Commands and numbers of a path, e.g. ['M', 161.6, 0, 'c', ...]
+function tokenize(path) {
+  return path.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/g).map((token) => (
+    /[a-zA-Z]/.test(token) ? token : Number(token)
+  ));
+}
+
+const isCommand = (token) => typeof token === 'string';
+
+// Parameters of the commands getSvgPath writes
+const COMMAND_PARAMS = { m: 2, l: 2, c: 6, a: 7, z: 0 };
+
+// Absolute end point of every command of a path
+function getEndPoints(path) {
+  const tokens = tokenize(path);
+  const points = [];
+  let current = [0, 0];
+  for (let i = 0; i < tokens.length;) {
+    const command = tokens[i++];
+    const count = COMMAND_PARAMS[command.toLowerCase()];
+    const values = tokens.slice(i, i + count);
+    i += count;
+    if (!count) continue;
+    const [x, y] = values.slice(-2);
+    current = command === command.toLowerCase() ? [current[0] + x, current[1] + y] : [x, y];
+    points.push(current);
+  }
+  return points;
+}
+
+for (const { name, options, path } of FIGMA_SQUIRCLE_CASES) {
+  test(`getSvgPath matches figma-squircle 1.1.0 (${name})`, () => {
+    assert.equal(getSvgPath(options), path);
+  });
+}
+
+test('getSvgPath preserves smoothing by default', () => {
+  const { preserveSmoothing, ...options } = PRESERVED.options;
+  assert.equal(getSvgPath(options), PRESERVED.path);
+});
+
+test('getSvgPath rounds positions to precision and keeps the commands', () => {
+  const exact = tokenize(getSvgPath(OPTIONS));
+  const exactPoints = getEndPoints(getSvgPath(OPTIONS));
+  for (const precision of [0, 2, 3]) {
+    const path = getSvgPath({ ...OPTIONS, precision });
+    const tokens = tokenize(path);
+    assert.deepEqual(tokens.filter(isCommand), exact.filter(isCommand));
+    tokens.filter((token) => !isCommand(token)).forEach((value) => {
+      assert.ok((String(value).split('.')[1] ?? '').length <= precision, `${value} has more than ${precision} decimals`);
+    });
+    // Relative values are taken between rounded positions, so only the
+    // positions are within half a unit of the exact ones
+    getEndPoints(path).forEach((point, i) => {
+      point.forEach((value, axis) => {
+        assert.ok(Math.abs(value - exactPoints[i][axis]) <= 0.5 * 10 ** -precision + 1e-9, `${value} vs ${exactPoints[i][axis]}`);
+      });
+    });
+  }
+});
+
+test('getSvgPath writes relative commands whose positions stay within precision', () => {
+  const exact = tokenize(getSvgPath(OPTIONS));
+  const exactPoints = getEndPoints(getSvgPath(OPTIONS));
+  for (const precision of [0, 2, 3]) {
+    const path = getSvgPath({ ...OPTIONS, precision, relative: true });
+    const commands = tokenize(path).filter(isCommand);
+    assert.ok(commands.every((command) => command === command.toLowerCase()), path);
+    assert.deepEqual(commands, exact.filter(isCommand).map((command) => command.toLowerCase()));
+    // Rounding errors don't add up along the path
+    getEndPoints(path).forEach((point, i) => {
+      point.forEach((value, axis) => {
+        assert.ok(Math.abs(value - exactPoints[i][axis]) <= 0.5 * 10 ** -precision + 1e-9, `${value} vs ${exactPoints[i][axis]}`);
+      });
+    });
+  }
+});
+
+test('getSvgPath compact output drops the optional separators only', () => {
+  assert.equal(serializePath('M 0.5 0.5 L -0.25 0.75', { compact: true }), 'M.5.5L-.25.75');
+
+  const compact = getSvgPath({ ...OPTIONS, compact: true });
+  assert.ok(!/ [a-z]|[a-z] | -|(^|[^\d])0\./i.test(compact), compact);
+  assert.deepEqual(tokenize(compact), tokenize(getSvgPath({ ...OPTIONS, precision: 4 })));
+});
+
+test('serializePath writes the implicit lineto after moveto', () => {
+  const path = 'M 0.5 0.5 -0.25 0.75 1 1';
+  assert.equal(serializePath(path), 'M 0.5 0.5 L -0.25 0.75 L 1 1');
+  assert.equal(serializePath(path, { relative: true }), 'm 0.5 0.5 l -0.75 0.25 l 1.25 0.25');
+  assert.equal(serializePath('m 1 1 2 2', { relative: true }), 'm 1 1 l 2 2');
+});
+
+test('serializePath handles h, v and z', () => {
+  const path = 'M 10 10 h 5.55 v -2.22 H 1 V 3 z l 1 1';
+  assert.equal(serializePath(path, { precision: 1 }), 'M 10 10 h 5.6 v -2.2 H 1 V 3 z l 1 1');
+  // z returns to the subpath start, which the next relative command starts from
+  assert.equal(serializePath(path, { precision: 1, relative: true, compact: true }), 'm10 10h5.6v-2.2h-14.6v-4.8zl1 1');
+});
+
+test('getCornerRadii clamps elliptical radii to the sides they share', () => {
+  const cases = [
+    { width: 100, height: 40, cornerRadius: 20, topLeftCornerRadius: 80, topLeftCornerRadiusY: 30 },
+    { width: 60, height: 200, cornerRadius: 50, cornerRadiusY: 150 },
+    { width: 120, height: 80, cornerRadius: 200, cornerRadiusY: 10, bottomRightCornerRadiusY: 300 }
+  ];
+  for (const options of cases) {
+    const radii = getCornerRadii(options);
+    const requested = (corner) => options[`${corner}CornerRadius`] ?? options.cornerRadius;
+    const requestedY = (corner) => options[`${corner}CornerRadiusY`] ?? options.cornerRadiusY ?? requested(corner);
+    for (const corner of CORNERS) {
+      assert.ok(radii[corner].radius <= requested(corner));
+      assert.ok(radii[corner].radiusY <= requestedY(corner));
+    }
+    // Top and bottom share the width, left and right the height
+    const { topLeft, topRight, bottomRight, bottomLeft } = radii;
+    assert.ok(topLeft.radius + topRight.radius <= options.width + 1e-9);
+    assert.ok(bottomLeft.radius + bottomRight.radius <= options.width + 1e-9);
+    assert.ok(topLeft.radiusY + bottomLeft.radiusY <= options.height + 1e-9);
+    assert.ok(topRight.radiusY + bottomRight.radiusY <= options.height + 1e-9);
+  }
+
+  // Each side is split in proportion to the radii along it
+  const radii = getCornerRadii(cases[0]);
+  assert.deepEqual(
+    CORNERS.map((corner) => [radii[corner].radius, radii[corner].radiusY]),
+    [[80, 24], [20, 20], [20, 20], [20, 16]]
+  );
+  // Radii that fit are kept
+  const fitting = getCornerRadii({ width: 200, height: 100, cornerRadius: 40, cornerRadiusY: 20 });
+  assert.ok(CORNERS.every((corner) => fitting[corner].radius === 40 && fitting[corner].radiusY === 20));
+});
+
+test('getSvgPath draws elliptical corners with their clamped radii inside the box', () => {
+  const options = { width: 100, height: 40, cornerRadius: 20, topLeftCornerRadius: 80, topLeftCornerRadiusY: 30 };
+  const path = getSvgPath(options);
+  for (const [x, y] of getEndPoints(path)) {
+    assert.ok(x >= -1e-9 && x <= options.width + 1e-9 && y >= -1e-9 && y <= options.height + 1e-9, `${x} ${y}`);
+  }
+  // The top left arc is 80 wide per 24 high
+  const arc = /a (\S+) (\S+) 0 0 1 (\S+) (\S+) c [^L]* Z$/.exec(path);
+  assert.equal(Number(arc[2]) / Number(arc[1]), 24 / 80);
+});
+
+test('interpolable paths share one command structure whatever the corners', () => {
+  const options = { width: 200, height: 120, cornerRadius: 24, cornerSmoothing: 0.6, interpolable: true };
+  const commands = (shape) => tokenize(getSvgPath({ ...options, ...shape })).filter(isCommand);
+  const round = commands({});
+  for (const shape of [
+    { cornerShape: 'scoop' },
+    { cornerShape: 'bevel' },
+    { cornerShape: 'notch' },
+    { cornerRadius: 0 },
+    { capsule: true },
+    { offset: -8 },
+    { cornerRadiusY: 10 },
+    { topLeftCornerShape: 'bevel', topRightCornerShape: 'notch', bottomRightCornerRadius: 0 }
+  ]) {
+    assert.deepEqual(commands(shape), round, JSON.stringify(shape));
+  }
+
+  // Without smoothing a round, bevelled or notched corner starts and ends at
+  // the same points, so a transition only moves what is between them
+  const ends = (cornerShape) => getEndPoints(getSvgPath({ ...options, cornerSmoothing: 0, cornerShape }))
+    .filter((point, i) => i % 4 === 0 || i % 4 === 3);
+  for (const cornerShape of ['bevel', 'notch']) {
+    ends(cornerShape).forEach((point, i) => {
+      point.forEach((value, axis) => assert.ok(Math.abs(value - ends('round')[i][axis]) < 1e-3));
+    });
+  }
+  // Plain paths draw the cut corners with lines
+  assert.ok(getSvgPath({ ...options, interpolable: false, cornerShape: 'bevel' }).length < getSvgPath({ ...options, cornerShape: 'bevel' }).length);
+});
+
+test('getOffsetShape grows rounded corners with the box and keeps square ones square', () => {
+  const options = { width: 100, height: 50, cornerRadius: 10, topLeftCornerRadius: 0, bottomRightCornerRadiusY: 4 };
+  assert.deepEqual(getOffsetShape(options, 5), {
+    ...options,
+    width: 110,
+    height: 60,
+    cornerRadius: 15,
+    topLeftCornerRadius: 0,
+    bottomRightCornerRadiusY: 9
+  });
+  // Shrinking stops at zero
+  const shrunk = getOffsetShape(options, -30);
+  assert.equal(shrunk.width, 40);
+  assert.equal(shrunk.height, 0);
+  assert.equal(shrunk.cornerRadius, 0);
+  assert.equal(shrunk.bottomRightCornerRadiusY, 0);
+
+  // offset draws outside the box, in its coordinates
+  const points = getEndPoints(getSvgPath({ ...options, offset: 5 }));
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  assert.deepEqual(
+    [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)].map((value) => +value.toFixed(6)),
+    [-5, 105, -5, 55]
+  );
+});
+
+test('capsule corners take half the shorter side less their smoothing', () => {
+  const stadium = getCornerRadii({ width: 200, height: 60, cornerSmoothing: 0, capsule: true });
+  assert.ok(CORNERS.every((corner) => stadium[corner].radius === 30));
+
+  const smoothed = getCornerRadii({ width: 200, height: 60, cornerSmoothing: 0.5, topLeftCornerSmoothing: 1, capsule: true });
+  assert.equal(smoothed.topLeft.radius, 15);
+  assert.equal(smoothed.topRight.radius, 20);
+  // The smoothing fills the rest of the half side: the top right corner runs
+  // from 1.5 times its 20px radius before the right edge to that edge's middle
+  const [start, , , end] = getEndPoints(getSvgPath({ width: 200, height: 60, cornerSmoothing: 0.5, capsule: true }));
+  assert.deepEqual([...start, ...end].map((value) => +value.toFixed(3)), [170, 0, 200, 30]);
+});
+
+test('getSvgDocument wraps the path in a standalone SVG document', () => {
+  const svg = getSvgDocument(OPTIONS);
+  assert.equal(
+    svg,
+    '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="120" viewBox="0 0 200 120">' +
+      `<path d="${getSvgPath(OPTIONS)}" fill="#000"/></svg>`
+  );
+  assert.ok(getSvgDocument({ ...OPTIONS, fill: 'tomato' }).includes('fill="tomato"'));
+  assert.ok(getSvgDocument({ ...OPTIONS, precision: 2 }).includes(`d="${getSvgPath({ ...OPTIONS, precision: 2 })}"`));
+});
+
+test('getPath2D builds a Path2D from the path', (t) => {
+  assert.throws(() => getPath2D(OPTIONS), /Path2D is not available/);
+
+  globalThis.Path2D = class {
+    constructor(path) {
+      this.path = path;
+    }
+  };
+  t.after(() => delete globalThis.Path2D);
+  assert.equal(getPath2D(OPTIONS).path, getSvgPath(OPTIONS));
+  assert.equal(getPath2D({ ...OPTIONS, precision: 1 }).path, getSvgPath({ ...OPTIONS, precision: 1 }));
+});
+
+test('getClipPathCss declares the interpolable path', () => {
+  assert.equal(getClipPathCss(OPTIONS), `clip-path: path("${getSvgPath({ ...OPTIONS, interpolable: true })}");`);
+  // Same commands for every shape, so clip-path transitions between them
+  const square = tokenize(getClipPathCss({ ...OPTIONS, cornerRadius: 0 })).filter(isCommand);
+  const rounded = tokenize(getClipPathCss(OPTIONS)).filter(isCommand);
+  assert.deepEqual(square, rounded);
+});
+
+test('getMaskCss declares the path as an SVG mask image, with the -webkit- prefix', () => {
+  const css = getMaskCss(OPTIONS);
+  const [, prefixed, unprefixed] = /^-webkit-mask: (.*); mask: (.*);$/.exec(css);
+  assert.equal(prefixed, unprefixed);
+
+  const [, uri] = /^url\("data:image\/svg\+xml,([^"]*)"\) 0 0 \/ 100% 100% no-repeat$/.exec(unprefixed);
+  assert.equal(
+    decodeURIComponent(uri),
+    '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="120" viewBox="0 0 200 120">' +
+      `<path d="${getSvgPath(OPTIONS)}"/></svg>`
+  );
+});